@@ -0,0 +1,144 @@
+import { DateTime } from 'luxon';
+import { useEffect } from 'react';
+import { formatClockTime, formatLocalized, formatTemperature } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+import { showNotification } from '../utils/notifications.js';
+
+const styles = {
+    banner: {
+        maxWidth: '400px',
+        margin: '4px 0',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.9rem',
+    },
+    alert: {
+        padding: '4px 8px',
+        marginBottom: '4px',
+        borderRadius: '6px',
+    },
+    warning: {
+        background: 'rgba(230, 140, 0, 0.75)',
+    },
+    severe: {
+        background: 'rgba(200, 30, 30, 0.85)',
+        fontWeight: 'bold',
+    },
+};
+
+const describeAlert = (alert, preferences) => {
+    const { language } = preferences;
+    switch (alert.type) {
+        case 'heat':
+        case 'frost':
+            return translate(language, `alert.${alert.type}`, { value: formatTemperature(alert.peak, preferences) });
+        case 'heavyPrecipitation':
+            return translate(language, 'alert.heavyPrecipitation', { value: Math.round(alert.peak * 10) / 10 });
+        default:
+            return translate(language, alert.severity === 'severe' ? 'alert.stormSevere' : 'alert.storm');
+    }
+};
+
+/**
+ * Formats an alert as e.g. "Thunderstorm with hail from 14:00" or "Heat up to 37°C until Sat 18:00".
+ * Times are shown in the location's timezone, with the weekday if they are not today.
+ */
+const formatAlert = (alert, preferences, now) => {
+    const start = DateTime.fromISO(alert.start, { setZone: true });
+    const end = DateTime.fromISO(alert.end, { setZone: true });
+    const ongoing = start <= now;
+    const at = ongoing ? end : start;
+    const time = at.hasSame(now.setZone(at.zone), 'day')
+        ? formatClockTime(at, preferences)
+        : `${formatLocalized(at, 'ccc', preferences)} ${formatClockTime(at, preferences)}`;
+
+    return `${describeAlert(alert, preferences)} ${translate(preferences.language, ongoing ? 'alert.until' : 'alert.from', { time })}`;
+};
+
+const NOTIFIED_STORAGE_KEY = 'tambopata.notifiedAlerts';
+
+// The ids of the notified alerts by date, also kept in memory in case localStorage is unavailable or full
+let notifiedInMemory = {};
+
+// Alert ids end with the date the alert starts on (see evaluateAlerts)
+const getAlertDate = (alert) => alert.id.slice(-10);
+
+/**
+ * Reads the ids of the alerts that have been notified, so that a reload or a second tab does not notify them again.
+ * @returns {Object<string, string[]>} The notified ids by date, from localStorage and this page.
+ */
+const loadNotifiedAlerts = () => {
+    let stored = {};
+    try {
+        stored = JSON.parse(window.localStorage.getItem(NOTIFIED_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Storage is best-effort; the ids of this page are still known
+    }
+
+    const notified = { ...stored };
+    Object.entries(notifiedInMemory).forEach(([date, ids]) => {
+        notified[date] = [...new Set([...(notified[date] || []), ...ids])];
+    });
+    return notified;
+};
+
+/**
+ * Stores the notified ids, dropping the dates before yesterday, whose alerts can no longer come up again.
+ * @param {Object<string, string[]>} notified - The notified ids by date.
+ */
+const saveNotifiedAlerts = (notified) => {
+    const yesterday = DateTime.now().minus({ days: 1 }).toISODate();
+    notifiedInMemory = Object.fromEntries(Object.entries(notified).filter(([date]) => date >= yesterday));
+
+    try {
+        window.localStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(notifiedInMemory));
+    } catch (error) {
+        console.warn('Notified alerts could not be stored:', error);
+    }
+};
+
+/**
+ * Shows a browser notification for every alert that has not been notified yet, if enabled in the preferences.
+ * Alerts at a simulated time are only shown in the banner.
+ */
+const useAlertNotifications = (alerts, labels, preferences, simulated) => {
+    useEffect(() => {
+        if (preferences.notifications !== 'on' || simulated) return;
+
+        const notified = loadNotifiedAlerts();
+        const fresh = alerts.filter(alert => !(notified[getAlertDate(alert)] || []).includes(alert.id));
+        if (fresh.length === 0) return;
+
+        fresh.forEach(alert => {
+            const date = getAlertDate(alert);
+            notified[date] = [...(notified[date] || []), alert.id];
+            showNotification(`${alert.icon} ${labels[alert.location] || alert.location}`, {
+                body: formatAlert(alert, preferences, DateTime.now()),
+                tag: alert.id,
+            });
+        });
+        saveNotifiedAlerts(notified);
+    }, [alerts, labels, preferences, simulated]);
+};
+
+/**
+ * ⚠️ UI Component: Lists the severe weather alerts of all locations, severe ones in red.
+ * `labels` maps location names to their display names; `now` is the time the alerts were looked up at, which is
+ * `simulated` when the Clock follows the timeline.
+ */
+const AlertBanner = ({ alerts, labels, now, simulated = false, preferences }) => {
+    useAlertNotifications(alerts, labels, preferences, simulated);
+
+    if (alerts.length === 0) return null;
+
+    return (
+        <div role="alert" style={styles.banner}>
+            {alerts.map(alert => (
+                <div key={alert.id} style={{ ...styles.alert, ...styles[alert.severity] }}>
+                    {alert.icon} {labels[alert.location] || alert.location}: {formatAlert(alert, preferences, now)}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AlertBanner;
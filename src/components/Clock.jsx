@@ -1,18 +1,55 @@
-import { DateTime } from 'luxon';
+import { DateTime, Duration } from 'luxon';
 import { useEffect, useMemo, useRef, useState } from 'react';
 import {
+    getAlertsForLocation,
     getCurrentWeatherForLocation,
+    getMoonForLocation,
+    getNextGoldenHourForLocation,
     getNextSunEventForLocation,
-    getTodayPrecipitationProbability
+    getSunTimesForLocation,
+    getTodayPrecipitationProbability,
+    getWeatherStatusForLocation,
+    subscribeToWeatherUpdates
 } from '../services/weatherService.js';
+import { COUNTDOWN_EVENTS, LOCATIONS } from '../config.js';
+import AlertBanner from './AlertBanner.jsx';
+import ForecastPanel from './ForecastPanel.jsx';
+import PreferencesMenu from './PreferencesMenu.jsx';
+import WeatherStatus from './WeatherStatus.jsx';
+import usePreferences from '../hooks/usePreferences.js';
+import useTimeline from '../hooks/useTimeline.js';
+import { getCountdowns } from '../utils/countdown.js';
+import { formatCount, translate } from '../utils/i18n.js';
+import {
+    formatClockTime,
+    formatDistance,
+    formatLocalized,
+    formatSunEvent,
+    formatTemperatureWithApparent
+} from '../utils/format.js';
+import {
+    compassDirection,
+    getLocationPairs,
+    nextOffsetDifferenceChange,
+    timezoneOffsetDifference
+} from '../utils/geodesy.js';
+import { focusLocation } from '../utils/globeFocus.js';
+import { requestNotificationPermission } from '../utils/notifications.js';
+import { getTimelineTime } from '../utils/timeline.js';
 
 
 /**
- * ⏲️ Shared Clock Hook: Emits `now` every full minute.
+ * ⏲️ Shared Clock Hook: Emits `realNow` every full minute.
+ * `now` is the time the rows show: the real time, or the globe's simulated time if the Clock follows
+ * the time travel (polled every second while it is playing, otherwise whenever it is changed).
+ * The simulated time is truncated to the minute, so everything derived from `now` is only recomputed
+ * when a full minute of simulated time has passed.
  */
-const useClock = () => {
-    const [now, setNow] = useState(() => DateTime.now());
+const useClock = (timeline) => {
+    const [realNow, setRealNow] = useState(() => DateTime.now());
+    const [simulatedNow, setSimulatedNow] = useState(null);
     const timeoutIdRef = useRef(null);
+    const following = timeline.followClock && !timeline.live;
 
     useEffect(() => {
         const scheduleNextTick = () => {
@@ -20,7 +57,7 @@ const useClock = () => {
             const msUntilNextMinute = (60 - currentNow.second) * 1000 - currentNow.millisecond;
 
             timeoutIdRef.current = setTimeout(() => {
-                setNow(DateTime.now());
+                setRealNow(DateTime.now());
                 scheduleNextTick();
             }, msUntilNextMinute);
         };
@@ -34,53 +71,105 @@ const useClock = () => {
         };
     }, []);
 
-    return now;
+    useEffect(() => {
+        if (!following) {
+            setSimulatedNow(null);
+            return undefined;
+        }
+
+        const update = () => {
+            const minute = getTimelineTime(timeline).toLocal().startOf('minute');
+            // Keeping the previous state within the same minute skips the re-render
+            setSimulatedNow(previous => previous && previous.equals(minute) ? previous : minute);
+        };
+        update();
+        if (!timeline.playing) return undefined;
+
+        const intervalId = setInterval(update, 1000);
+        return () => clearInterval(intervalId);
+    }, [following, timeline]);
+
+    return { now: simulatedNow || realNow, realNow, simulated: Boolean(simulatedNow) };
 };
 
 /**
  * ⚙️ Custom Hook: Manages all time-related state and updates.
+ * Returns the local time of every location and the distance/time difference of every location pair.
  */
-const useTimeManager = (targetDate, now) => {
-    const germanyTime = useMemo(() => now.setZone('Europe/Berlin'), [now]);
-    const peruTime = useMemo(() => now.setZone('America/Lima'), [now]);
-
-    const diffToBackHome = useMemo(() => targetDate.diff(peruTime, ['months', 'weeks', 'days']).toObject(), [peruTime, targetDate]);
-    const diffInHours = useMemo(() => (germanyTime.offset - peruTime.offset) / 60, [germanyTime, peruTime]);
+const useTimeManager = (now, locations) => {
+    const localTimes = useMemo(() => locations.map(loc => now.setZone(loc.timezone)), [now, locations]);
+
+    // Searching for the next change of the time difference is expensive, so the pairs are computed once per
+    // (simulated) UTC day, together with the change after a change that happens during that day
+    const dayStart = now.toUTC().startOf('day').toMillis();
+    const dailyPairs = useMemo(() => {
+        const day = DateTime.fromMillis(dayStart, { zone: 'utc' });
+        return getLocationPairs(locations, day).map(pair => ({
+            ...pair,
+            followingChange: pair.nextChange && pair.nextChange.at < day.plus({ days: 1 })
+                ? nextOffsetDifferenceChange(pair.from.timezone, pair.to.timezone, pair.nextChange.at)
+                : null,
+        }));
+    }, [dayStart, locations]);
+
+    const locationPairs = useMemo(() => dailyPairs.map(({ followingChange, ...pair }) => {
+        const passed = pair.nextChange && pair.nextChange.at <= now;
+        return {
+            ...pair,
+            hours: timezoneOffsetDifference(pair.from.timezone, pair.to.timezone, now),
+            nextChange: passed ? followingChange : pair.nextChange,
+        };
+    }), [dailyPairs, now]);
 
     return {
-        germanyTime: germanyTime.toFormat('HH:mm'),
-        peruTime: peruTime.toFormat('HH:mm'),
-        diffInHours,
-        diffToBackHome,
+        times: localTimes,
+        locationPairs,
     };
 };
 
 /**
  * 🌦️ Custom Hook: Manages all weather data fetching and state.
+ * Everything is looked up at `now`, so the rows follow the simulated time as well; the hourly data of every
+ * location is marked as `simulated` if it was looked up while `now` was simulated.
  */
-const useWeatherManager = (locations, now) => {
+const useWeatherManager = (locations, now, simulated) => {
     const [weatherData, setWeatherData] = useState({});
+    const nowRef = useRef({ now, simulated });
+    nowRef.current = { now, simulated };
+    const fetchHourlyDataRef = useRef(null);
 
-    // Effect for HOURLY data (Current Weather & Precipitation)
+    // Effect for HOURLY data (Current Weather, Precipitation & Alerts)
     useEffect(() => {
-        let intervalId;
+        let cancelled = false;
+        let latestRequest = 0;
         const fetchHourlyData = async () => {
-            console.log('Fetching HOURLY data (weather, precipitation)...');
+            console.log('Fetching HOURLY data (weather, precipitation, alerts)...');
+            const request = ++latestRequest;
+            const { now: at, simulated: atSimulated } = nowRef.current;
             try {
-                const weatherPromises = locations.map(loc => getCurrentWeatherForLocation(loc));
-                const precipPromises = locations.map(loc => getTodayPrecipitationProbability(loc));
-
-                const [weatherResults, precipResults] = await Promise.all([
-                    Promise.all(weatherPromises),
-                    Promise.all(precipPromises),
-                ]);
+                // Each location is handled on its own, so one failing city does not block the others
+                const results = await Promise.all(locations.map(async loc => {
+                    const status = await getWeatherStatusForLocation(loc);
+                    if (status.status === 'error') return { status, simulated: atSimulated };
+
+                    const [current, precipitation, alerts] = await Promise.all([
+                        getCurrentWeatherForLocation(loc, at),
+                        getTodayPrecipitationProbability(loc, at),
+                        getAlertsForLocation(loc, at),
+                    ]);
+                    return { status, current, precipitation, alerts, simulated: atSimulated };
+                }));
+                // A later request (e.g. for another simulated time) may already have finished
+                if (cancelled || request !== latestRequest) return;
 
                 setWeatherData(prevData => {
-                    const updatedData = JSON.parse(JSON.stringify(prevData));
+                    // Shallow copies only: the sun data holds Luxon objects that must not be serialized
+                    const updatedData = { ...prevData };
                     locations.forEach((loc, idx) => {
-                        if (!updatedData[loc]) updatedData[loc] = {};
-                        updatedData[loc].current = weatherResults[idx];
-                        updatedData[loc].precipitation = precipResults[idx];
+                        updatedData[loc] = {
+                            ...updatedData[loc],
+                            ...results[idx],
+                        };
                     });
                     return updatedData;
                 });
@@ -88,29 +177,34 @@ const useWeatherManager = (locations, now) => {
                 console.error('Failed to fetch hourly weather data:', error);
             }
         };
+        fetchHourlyDataRef.current = fetchHourlyData;
 
-        const initialTime = DateTime.now();
-        const msUntilNextHour = (60 - initialTime.minute - 1) * 60 * 1000 + (60 - initialTime.second) * 1000;
-
-        const timeoutId = setTimeout(() => {
-            fetchHourlyData();
-            intervalId = setInterval(fetchHourlyData, 60 * 60 * 1000);
-        }, msUntilNextHour > 0 ? msUntilNextHour : 0);
-
-        fetchHourlyData();
+        // Pick up data from background revalidations, and retry as soon as the network is back
+        const unsubscribe = subscribeToWeatherUpdates(status => {
+            if (!status.isOffline && !status.isRevalidating) fetchHourlyData();
+        });
+        window.addEventListener('online', fetchHourlyData);
 
         return () => {
-            clearTimeout(timeoutId);
-            if (intervalId) clearInterval(intervalId);
+            cancelled = true;
+            unsubscribe();
+            window.removeEventListener('online', fetchHourlyData);
         };
     }, [locations]);
 
+    // The hourly data changes with the hour of each location, which can also start at a half or quarter hour
+    // (e.g. Asia/Kolkata, Asia/Kathmandu), so it is looked up again every quarter of an hour of (simulated) time
+    const quarterHour = Math.floor(now.toMillis() / (15 * 60 * 1000));
+    useEffect(() => {
+        fetchHourlyDataRef.current();
+    }, [quarterHour, locations]);
+
     // Effect for MINUTELY data (Sun Events)
     useEffect(() => {
         const fetchSunData = async () => {
             console.log('Fetching MINUTELY data (sun events)...');
             try {
-                const sunPromises = locations.map(loc => getNextSunEventForLocation(loc));
+                const sunPromises = locations.map(loc => getNextSunEventForLocation(loc, now));
                 const sunResults = await Promise.all(sunPromises);
 
                 setWeatherData(prevData => {
@@ -118,7 +212,10 @@ const useWeatherManager = (locations, now) => {
                     locations.forEach((loc, idx) => {
                         newWeatherData[loc] = {
                             ...newWeatherData[loc], // Preserves other data (like 'current' weather)
-                            sun: sunResults[idx]    // Adds or updates the 'sun' data
+                            sun: sunResults[idx],   // Adds or updates the 'sun' data
+                            sunTimes: getSunTimesForLocation(loc, now), // Locally calculated, works offline
+                            goldenHour: getNextGoldenHourForLocation(loc, now),
+                            moon: getMoonForLocation(loc, now),
                         };
                     });
                     return newWeatherData;
@@ -136,15 +233,86 @@ const useWeatherManager = (locations, now) => {
 
 
 // --- Helper & UI Components ---
-const formatUnit = (value, singular, plural) => {
-    const rounded = Math.floor(value || 0);
-    return `${rounded} ${rounded === 1 ? singular : plural}`;
+// The i18n unit keys of the countdown diff (see utils/countdown.js)
+const DIFF_UNIT_KEYS = { months: 'month', weeks: 'week', days: 'day', hours: 'hour', minutes: 'minute' };
+
+const formatDiff = (diff, language) => Object.entries(diff)
+    .map(([unit, count]) => formatCount(language, DIFF_UNIT_KEYS[unit], count))
+    .join(', ');
+
+/**
+ * ⏳ UI Component: Renders all countdown events, highlighting the next upcoming one.
+ */
+const CountdownList = ({ countdowns, preferences }) => {
+    const { language } = preferences;
+
+    return (
+        <p style={{fontSize: '16px'}}>
+            {countdowns.map((countdown, idx) => (
+                <span key={`${countdown.label}-${countdown.at.toISO()}`} style={{fontWeight: countdown.isNext ? 'bold' : 'normal'}}>
+                    {idx > 0 && <br />}
+                    {countdown.icon} {countdown.label}{' '}
+                    {countdown.status === 'upcoming' && translate(language, 'countdown.in', { time: formatDiff(countdown.diff, language) })}
+                    {countdown.status === 'today' && translate(language, 'countdown.today')}
+                    {countdown.status === 'past' && translate(language, 'countdown.ago', { time: formatDiff(countdown.diff, language) })}
+                </span>
+            ))}
+        </p>
+    );
+};
+
+const formatSunTimes = (sunTimes, preferences) => {
+    const t = (key) => translate(preferences.language, key);
+    const format = (time) => time ? formatClockTime(time, preferences) : '--:--';
+    return [
+        `${t('sunTimes.dawn')}: ${format(sunTimes.astronomicalDawn)} / ${format(sunTimes.nauticalDawn)} / ${format(sunTimes.civilDawn)}`,
+        `${t('sunTimes.sunrise')}: ${format(sunTimes.sunrise)}`,
+        `${t('sunTimes.solarNoon')}: ${format(sunTimes.solarNoon)}`,
+        `${t('sunTimes.sunset')}: ${format(sunTimes.sunset)}`,
+        `${t('sunTimes.dusk')}: ${format(sunTimes.civilDusk)} / ${format(sunTimes.nauticalDusk)} / ${format(sunTimes.astronomicalDusk)}`,
+        `${t('sunTimes.dayLength')}: ${Duration.fromObject({ minutes: Math.round(sunTimes.dayLength) }).toFormat('h:mm')} h`,
+    ].join('\n');
+};
+
+const formatMoonPhase = (moon, preferences) => [
+    translate(preferences.language, `moon.phase.${moon.phase}`),
+    translate(preferences.language, 'moon.illuminated', { percent: Math.round(moon.illumination * 100) }),
+].join('\n');
+
+const formatHours = (hours) => `${hours > 0 ? '+' : ''}${hours} h`;
+
+/**
+ * 🧭 UI Component: Renders distance, bearing and time difference for every location pair.
+ */
+const LocationPairTable = ({ pairs, preferences }) => {
+    const cellStyle = { padding: '0 10px 0 0', whiteSpace: 'nowrap' };
+
+    return (
+        <table style={{ borderCollapse: 'collapse', fontSize: '16px' }}>
+            <tbody>
+                {pairs.map(pair => (
+                    <tr key={`${pair.from.name}-${pair.to.name}`}>
+                        <td style={cellStyle}>↔️ {pair.from.name} – {pair.to.name}</td>
+                        <td style={cellStyle}>{formatDistance(pair.distanceKm, preferences)}</td>
+                        <td style={cellStyle}>🧭 {Math.round(pair.bearing)}° {compassDirection(pair.bearing)}</td>
+                        <td style={cellStyle}>
+                            ⏰ {formatHours(pair.hours)}
+                            {pair.nextChange && <> ({formatHours(pair.nextChange.hours)} {translate(preferences.language, 'pair.from', {
+                                date: formatLocalized(pair.nextChange.at.setZone(pair.from.timezone), 'd LLL', preferences)
+                            })})</>}
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
 };
 
 /**
  * ✨ UI Component: Renders a single location row.
  */
-const LocationRow = ({ flag, time, name, locationData }) => {
+const LocationRow = ({ flag, time, name, locationName, locationData, preferences }) => {
+    const [expanded, setExpanded] = useState(false);
     // --- STYLING FIX: Re-introduced window width detection ---
     const [windowWidth, setWindowWidth] = useState(0);
 
@@ -165,7 +333,7 @@ const LocationRow = ({ flag, time, name, locationData }) => {
     }, []); // Empty dependency array ensures this effect runs only once.
 
     // Safely destructure data, providing empty objects as fallbacks.
-    const { sun, current, precipitation } = locationData || {};
+    const { sun, sunTimes, goldenHour, moon, current, precipitation, status } = locationData || {};
 
     // Define styles inside the component to access windowWidth.
     const styles = {
@@ -218,64 +386,115 @@ const LocationRow = ({ flag, time, name, locationData }) => {
     };
 
     return (
-        <div style={styles.container}>
-            {/* Cell 1: Flag (Column 1) */}
-            <div style={{...styles.cell, ...styles.flagCell}}>{flag}</div>
-
-            {/* Cell 2: Time (Column 2) */}
-            <div style={{...styles.cell, ...styles.timeCell}}>{time}</div>
-
-            {/* Cell 3: Name (Column 3) */}
-            <div style={{...styles.cell, ...styles.nameCell}}>{name}</div>
-
-            {/* Cell 4: Sun Event & Weather (Spans Columns 2-3) */}
-            <div style={{...styles.cell, ...styles.sunWeatherCell}}>
-                <span style={styles.weatherSpan}>
-                    {sun ? <>{sun.icon} in {sun.time} h</> : '...'}
-                </span>
-                <span style={styles.weatherSpan}>
-                    {current ? <>{current.icon} {current.temperature}</> : '...'}
-                    {' | '}
-                    {precipitation ? <>☔ {precipitation.maxPrecipitationProbability}%</> : '...'}
-                </span>
+        <>
+            <div style={styles.container}>
+                {/* Cell 1: Flag (Column 1) */}
+                <div style={{...styles.cell, ...styles.flagCell}}>{flag}</div>
+
+                {/* Cell 2: Time (Column 2) */}
+                <div style={{...styles.cell, ...styles.timeCell}}>{time}</div>
+
+                {/* Cell 3: Name (Column 3) */}
+                {/* Clicking the name flies the globe to the location */}
+                <div
+                    role="button"
+                    title={translate(preferences.language, 'location.focus')}
+                    style={{...styles.cell, ...styles.nameCell, pointerEvents: 'auto', cursor: 'pointer'}}
+                    onClick={() => focusLocation(locationName)}
+                >
+                    {name}
+                </div>
+
+                {/* Cell 4: Sun Event & Weather (Spans Columns 2-3) */}
+                <div style={{...styles.cell, ...styles.sunWeatherCell}}>
+                    {/* Hovering shows all calculated sun times; the row container itself ignores pointer events */}
+                    <span style={{...styles.weatherSpan, pointerEvents: 'auto'}} title={sunTimes ? formatSunTimes(sunTimes, preferences) : undefined}>
+                        {sun ? formatSunEvent(sun, preferences) : '...'}
+                        {goldenHour && <> ✨ {translate(preferences.language, goldenHour.active ? 'goldenHour.endsIn' : 'goldenHour.in', { time: goldenHour.time })}</>}
+                    </span>
+                    {/* Hovering shows the phase and how much of the moon is lit */}
+                    {moon && (
+                        <span style={{...styles.weatherSpan, pointerEvents: 'auto'}} title={formatMoonPhase(moon, preferences)}>
+                            {moon.icon} {moon.time && translate(preferences.language, moon.next === 'moonrise' ? 'moon.riseIn' : 'moon.setIn', { time: moon.time })}
+                        </span>
+                    )}
+                    {/* Clicking the weather expands the forecast panel */}
+                    <span
+                        role="button"
+                        aria-expanded={expanded}
+                        style={{...styles.weatherSpan, pointerEvents: 'auto', cursor: 'pointer'}}
+                        onClick={() => setExpanded(prev => !prev)}
+                    >
+                        {status?.status === 'error' ? (
+                            <span title={status.error}>⚠️ {translate(preferences.language, 'weather.unavailable')}</span>
+                        ) : (
+                            <>
+                                {current ? <>{current.icon} {formatTemperatureWithApparent(current.temperature, current.apparentTemperature, preferences)}</> : '...'}
+                                {' | '}
+                                {precipitation ? <>☔ {precipitation.maxPrecipitationProbability}%</> : '...'}
+                                {status?.status === 'stale' && <span title={status.error}> ⚠️</span>}
+                            </>
+                        )}
+                        {expanded ? ' ▴' : ' ▾'}
+                    </span>
+                </div>
             </div>
-        </div>
+            {expanded && <ForecastPanel locationName={locationName} preferences={preferences} />}
+        </>
     );
 };
 
 // --- Main Component ---
-const Clock = () => {
-    const now = useClock();
-    const targetDate = useMemo(() => DateTime.fromISO('2025-11-18T00:00:00', { zone: 'America/Lima' }), []);
-    const locations = useMemo(() => ['Tambopata', 'Dresden'], []);
-
-    const { germanyTime, peruTime, diffInHours, diffToBackHome } = useTimeManager(targetDate, now);
-    const weatherData = useWeatherManager(locations, now);
+/**
+ * ⏰ UI Component: The dashboard of clocks, weather, countdowns and settings.
+ * `locations` are the locations to show, a selection of LOCATIONS in config.js (all of them by default).
+ */
+const Clock = ({ locations = LOCATIONS }) => {
+    const timeline = useTimeline();
+    const { now, realNow, simulated } = useClock(timeline);
+    const locationNames = useMemo(() => locations.map(loc => loc.name), [locations]);
+
+    const { times, locationPairs } = useTimeManager(now, locations);
+    const countdowns = useMemo(() => getCountdowns(COUNTDOWN_EVENTS, now), [now]);
+    const weatherData = useWeatherManager(locationNames, now, simulated);
+    const [preferences, updatePreference] = usePreferences();
+
+    const alerts = useMemo(() => locationNames.flatMap(name => weatherData[name]?.alerts || []), [locationNames, weatherData]);
+    // Right after the Clock stops following the timeline, the alerts are still those of the simulated time
+    const alertsSimulated = simulated || locationNames.some(name => weatherData[name]?.simulated);
+    const labels = useMemo(() => Object.fromEntries(locations.map(loc => [loc.name, loc.label])), [locations]);
+
+    // Notification permission has to be requested from the change event itself
+    const handlePreferenceChange = async (key, value) => {
+        updatePreference(key, value);
+        if (key === 'notifications' && value === 'on' && await requestNotificationPermission() !== 'granted') {
+            updatePreference('notifications', 'off');
+        }
+    };
 
     return (
         <>
-            <p style={{fontSize: '16px'}}>
-                ✈️ Back home
-                in {formatUnit(diffToBackHome.months, 'month', 'months')}, {formatUnit(diffToBackHome.weeks, 'week', 'weeks')}, {formatUnit(diffToBackHome.days, 'day', 'days')}.
-                <br />
-                ↔️ ~ 10,646 km | ⏰ {diffInHours}-hour time difference.
-            </p>
+            <PreferencesMenu preferences={preferences} onChange={handlePreferenceChange} />
+            <AlertBanner alerts={alerts} labels={labels} now={now} simulated={alertsSimulated} preferences={preferences} />
+            <CountdownList countdowns={countdowns} preferences={preferences} />
+            <LocationPairTable pairs={locationPairs} preferences={preferences} />
+            <WeatherStatus now={realNow} preferences={preferences} />
+            {simulated && <p style={{ fontSize: '0.75rem', margin: '4px 0' }}>⏱️ {translate(preferences.language, 'timeline.simulated')}</p>}
             <div>
-                <LocationRow
-                    flag="🇵🇪"
-                    time={peruTime}
-                    name="Tambopata, Peru"
-                    locationData={weatherData.Tambopata}
-                />
-                <LocationRow
-                    flag="🇩🇪"
-                    time={germanyTime}
-                    name="Dresden, Germany"
-                    locationData={weatherData.Dresden}
-                />
+                {locations.map((loc, idx) => (
+                    <LocationRow
+                        key={loc.name}
+                        flag={loc.countryFlag}
+                        time={formatClockTime(times[idx], preferences)}
+                        name={loc.label}
+                        locationName={loc.name}
+                        locationData={weatherData[loc.name]}
+                        preferences={preferences}
+                    />
+                ))}
             </div>
         </>
     );
 };
 
-export default Clock;
\ No newline at end of file
+export default Clock;
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { LOCATIONS } from '../config.js';
+import Clock from './Clock.jsx';
+import WorldGlobe from './WorldGlobe.jsx';
+import { parseEmbedOptions } from '../utils/embedOptions.js';
+import { setPreferenceOverrides } from '../utils/preferences.js';
+
+const styles = {
+    container: {
+        position: 'relative',
+        width: '100%',
+        height: '100%',
+        color: '#fff',
+        fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif",
+    },
+    globe: {
+        position: 'absolute',
+        inset: 0,
+    },
+    clock: {
+        position: 'relative',
+        zIndex: 1,
+        padding: '0.5rem',
+        pointerEvents: 'none', // The globe behind stays draggable; the Clock's controls opt back in
+    },
+};
+
+const BACKGROUNDS = {
+    dark: '#000',
+    transparent: 'transparent',
+};
+
+/**
+ * Parses the embed options (see utils/embedOptions.js) and fixes their preferences for the page.
+ * Has to be called before the Clock and the globe are rendered, as they read the preferences when they mount.
+ * @param {string} search - The query string, e.g. "?locations=Dresden&units=imperial".
+ * @returns {ReturnType<typeof parseEmbedOptions>} The options.
+ */
+export function applyEmbedOptions(search) {
+    const options = parseEmbedOptions(search, LOCATIONS);
+    setPreferenceOverrides(options.preferences);
+    return options;
+}
+
+/**
+ * 🧩 UI Component: The dashboard for embedding in other pages, filling its parent: which locations and panels are
+ * shown, the theme and the units. `options` come from applyEmbedOptions(); without them the query string of the page
+ * is used (the /embed route, rendered client:only). `assetBase` is passed on to the globe (see WorldGlobe.jsx).
+ */
+const Embed = ({ options: givenOptions, assetBase }) => {
+    // Read before the first render of the children, so the overrides are in place when they load their preferences
+    const [options] = useState(() => givenOptions || applyEmbedOptions(window.location.search));
+    const showGlobe = options.panels.includes('globe');
+
+    return (
+        <div style={{ ...styles.container, background: BACKGROUNDS[options.theme], overflow: showGlobe ? 'hidden' : 'auto' }}>
+            {showGlobe && (
+                <div style={styles.globe}>
+                    <WorldGlobe markers={options.locations} assetBase={assetBase}/>
+                </div>
+            )}
+            {options.panels.includes('clock') && (
+                <div style={styles.clock}>
+                    <Clock locations={options.locations}/>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Embed;
@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from 'react';
+import { shadeDayNight, toMapPosition } from '../utils/dayNightMap.js';
+import { getMoonPhase, getSublunarPoint } from '../utils/lunarPosition.js';
+import { getSubsolarPoint } from '../utils/solarPosition.js';
+
+// Resolution of the shaded map; the canvas is scaled to the screen
+const MAP_WIDTH = 1024;
+const MAP_HEIGHT = 512;
+
+const styles = {
+    container: {
+        position: 'absolute',
+        inset: 0,
+        background: '#000',
+        overflow: 'hidden',
+        containerType: 'size', // The map is fitted into the container, whatever its size
+    },
+    map: {
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: 'min(100cqw, 200cqh)',
+        aspectRatio: '2 / 1',
+    },
+    canvas: {
+        width: '100%',
+        height: '100%',
+        display: 'block',
+    },
+    marker: {
+        position: 'absolute',
+        transform: 'translate(-50%, -50%)',
+        color: '#fff',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.8rem',
+        textShadow: '0 0 3px #000, 0 0 6px #000',
+        whiteSpace: 'nowrap',
+        userSelect: 'none',
+    },
+    pin: {
+        transform: 'translate(-5px, -50%)', // The dot marks the location, the name is next to it
+    },
+    dot: {
+        display: 'inline-block',
+        width: '8px',
+        height: '8px',
+        marginRight: '4px',
+        borderRadius: '50%',
+        background: '#ff4d4d',
+        border: '1px solid #fff',
+    },
+    message: {
+        position: 'absolute',
+        top: '16px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        padding: '4px 8px',
+        borderRadius: '6px',
+        background: 'rgba(0, 0, 0, 0.55)',
+        color: '#fff',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.75rem',
+    },
+};
+
+/**
+ * Draws an image into an offscreen canvas of the map's size and reads its pixels.
+ * Resolves with a plain color instead if the image cannot be loaded, so the map still shows day and night.
+ */
+const loadImageData = async (url, fallbackColor) => {
+    const context = document.createElement('canvas').getContext('2d');
+    context.canvas.width = MAP_WIDTH;
+    context.canvas.height = MAP_HEIGHT;
+
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        context.drawImage(image, 0, 0, MAP_WIDTH, MAP_HEIGHT);
+    } catch (error) {
+        console.warn(`Map image ${url} could not be loaded:`, error);
+        context.fillStyle = fallbackColor;
+        context.fillRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+    }
+    return context.getImageData(0, 0, MAP_WIDTH, MAP_HEIGHT);
+};
+
+/**
+ * 🗺️ UI Component: Flat day/night world map, shown instead of the globe when WebGL is not available.
+ * `time` is the (possibly simulated) time to show; the shading is redrawn when its minute changes.
+ * `message` explains why the map is shown. `dayImage` and `nightImage` are the URLs of the equirectangular maps.
+ */
+const FlatWorldMap = ({ time, locations, message, dayImage = 'assets/worldGlobe/earth-blue-marble.jpg', nightImage = 'assets/worldGlobe/earth-night.jpg' }) => {
+    const canvasRef = useRef(null);
+    const [images, setImages] = useState(null);
+    const minuteKey = time.startOf('minute').toMillis();
+    const subsolarPoint = getSubsolarPoint(time);
+    const sun = toMapPosition(subsolarPoint.latitude, subsolarPoint.longitude);
+    const sublunarPoint = getSublunarPoint(time);
+    const moon = toMapPosition(sublunarPoint.latitude, sublunarPoint.longitude);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        Promise.all([
+            loadImageData(dayImage, '#1b3f6b'),
+            loadImageData(nightImage, '#05070d'),
+        ]).then(([day, night]) => {
+            if (!cancelled) setImages({ day, night });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [dayImage, nightImage]);
+
+    useEffect(() => {
+        if (!images) return;
+
+        const context = canvasRef.current.getContext('2d');
+        const output = context.createImageData(MAP_WIDTH, MAP_HEIGHT);
+        shadeDayNight(images.day, images.night, output, subsolarPoint);
+        context.putImageData(output, 0, 0);
+    }, [images, minuteKey]);
+
+    return (
+        <div style={styles.container}>
+            <div style={styles.map}>
+                <canvas ref={canvasRef} width={MAP_WIDTH} height={MAP_HEIGHT} style={styles.canvas}/>
+                {locations.map(location => {
+                    const { x, y } = toMapPosition(location.latitude, location.longitude);
+                    return (
+                        <div key={location.name} style={{ ...styles.marker, ...styles.pin, left: `${x * 100}%`, top: `${y * 100}%` }}>
+                            <span style={styles.dot}/>{location.countryFlag} {location.name}
+                        </div>
+                    );
+                })}
+                <div style={{ ...styles.marker, left: `${sun.x * 100}%`, top: `${sun.y * 100}%` }}>☀️</div>
+                <div style={{ ...styles.marker, left: `${moon.x * 100}%`, top: `${moon.y * 100}%` }}>{getMoonPhase(time, sublunarPoint.latitude).icon}</div>
+            </div>
+            {message && <div style={styles.message}>{message}</div>}
+        </div>
+    );
+};
+
+export default FlatWorldMap;
@@ -0,0 +1,119 @@
+import { DateTime } from 'luxon';
+import { useEffect, useState } from 'react';
+import {
+    getDailyForecastForLocation,
+    getHourlyForecastForLocation
+} from '../services/weatherService.js';
+import { formatLocalized, formatPrecipitation, formatTemperature } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+
+const styles = {
+    panel: {
+        maxWidth: '400px',
+        margin: '0 10px 10px 10px',
+        padding: '8px',
+        borderRadius: '8px',
+        background: 'rgba(0, 0, 0, 0.55)',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.85rem',
+        pointerEvents: 'auto',
+    },
+    hourlyStrip: {
+        display: 'flex',
+        gap: '10px',
+        overflowX: 'auto',
+        paddingBottom: '6px',
+        marginBottom: '6px',
+        borderBottom: '1px solid rgba(255, 255, 255, 0.2)',
+    },
+    hour: {
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        minWidth: '36px',
+    },
+    dailyTable: {
+        width: '100%',
+        borderCollapse: 'collapse',
+    },
+    dailyCell: {
+        padding: '1px 4px',
+        whiteSpace: 'nowrap',
+    },
+};
+
+/**
+ * 📅 UI Component: Shows the next 24 hours and a 7-day summary for a location.
+ * Fetches its data when it is mounted, i.e. when a LocationRow is expanded.
+ */
+const ForecastPanel = ({ locationName, preferences }) => {
+    const [hourly, setHourly] = useState(null);
+    const [daily, setDaily] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchForecast = async () => {
+            try {
+                const [hourlyResult, dailyResult] = await Promise.all([
+                    getHourlyForecastForLocation(locationName),
+                    getDailyForecastForLocation(locationName),
+                ]);
+                if (!cancelled) {
+                    setHourly(hourlyResult);
+                    setDaily(dailyResult);
+                }
+            } catch (error) {
+                console.error(`Failed to fetch forecast for ${locationName}:`, error);
+                if (!cancelled) {
+                    setHourly([]);
+                    setDaily([]);
+                }
+            }
+        };
+
+        fetchForecast();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [locationName]);
+
+    if (!hourly || !daily) {
+        return <div style={styles.panel}>...</div>;
+    }
+
+    if (hourly.length === 0 && daily.length === 0) {
+        return <div style={styles.panel}>❓ {translate(preferences.language, 'forecast.none')}</div>;
+    }
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.hourlyStrip}>
+                {hourly.map(hour => (
+                    <div key={hour.time} style={styles.hour}>
+                        <span>{formatLocalized(DateTime.fromISO(hour.time, { setZone: true }), preferences.hourCycle === '12h' ? 'h a' : 'HH', preferences)}</span>
+                        <span>{hour.icon}</span>
+                        <span>{formatTemperature(hour.temperature, preferences)}</span>
+                        {hour.precipitationProbability !== null && <span>{hour.precipitationProbability}%</span>}
+                    </div>
+                ))}
+            </div>
+            <table style={styles.dailyTable}>
+                <tbody>
+                    {daily.map(day => (
+                        <tr key={day.date}>
+                            <td style={styles.dailyCell}>{formatLocalized(DateTime.fromISO(day.date), 'ccc d', preferences)}</td>
+                            <td style={styles.dailyCell}>{day.icon}</td>
+                            <td style={styles.dailyCell}>{formatTemperature(day.minTemperature, preferences)} / {formatTemperature(day.maxTemperature, preferences)}</td>
+                            <td style={styles.dailyCell}>💧 {formatPrecipitation(day.precipitationSum, preferences)}</td>
+                            <td style={styles.dailyCell}>☔ {day.precipitationProbability ?? '--'}%</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default ForecastPanel;
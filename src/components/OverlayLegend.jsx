@@ -0,0 +1,74 @@
+import { DateTime } from 'luxon';
+import { formatClockTime, formatLocalized, formatTemperature, formatWindSpeed } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+import { legendGradient, OVERLAY_SCALES } from '../utils/overlays.js';
+
+const styles = {
+    legend: {
+        position: 'absolute',
+        left: '16px',
+        bottom: '16px',
+        width: '260px',
+        padding: '6px 8px',
+        borderRadius: '8px',
+        background: 'rgba(0, 0, 0, 0.55)',
+        color: '#fff',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.75rem',
+    },
+    bar: {
+        height: '10px',
+        margin: '4px 0 2px',
+        borderRadius: '2px',
+    },
+    ticks: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontVariantNumeric: 'tabular-nums',
+    },
+    time: {
+        opacity: 0.7,
+    },
+};
+
+const formatValue = (overlay, value, preferences) => {
+    switch (overlay) {
+        case 'temperature':
+            return formatTemperature(value, preferences);
+        case 'wind':
+            return formatWindSpeed(value, preferences);
+        default:
+            return `${value} mm`;
+    }
+};
+
+/**
+ * 🗺️ UI Component: Legend of the weather overlay on the globe, with the color scale and the time of the data.
+ * `grid` is the loaded WeatherGrid, or null while loading; `error` is set if it could not be loaded.
+ */
+const OverlayLegend = ({ overlay, grid, error, preferences }) => {
+    const t = (key) => translate(preferences.language, key);
+    const { icon, stops } = OVERLAY_SCALES[overlay];
+    const time = grid && grid.time ? DateTime.fromISO(grid.time, { zone: 'utc' }) : null;
+
+    return (
+        <div style={styles.legend}>
+            <div>{icon} {t(`overlay.${overlay}`)}</div>
+            <div style={{ ...styles.bar, background: legendGradient(stops) }}/>
+            <div style={styles.ticks}>
+                {stops.map(([value]) => (
+                    <span key={value}>{formatValue(overlay, value, preferences)}</span>
+                ))}
+            </div>
+            <div style={styles.time}>
+                {error
+                    ? `⚠️ ${t('overlay.unavailable')}`
+                    : time
+                        ? `${formatLocalized(time, 'ccc d LLL', preferences)} ${formatClockTime(time, preferences)} UTC`
+                        : '...'}
+            </div>
+        </div>
+    );
+};
+
+export default OverlayLegend;
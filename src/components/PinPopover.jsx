@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import {
+    getCurrentWeatherForLocation,
+    getNextSunEventForLocation
+} from '../services/weatherService.js';
+import { formatClockTime, formatSunEvent, formatTemperatureWithApparent } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+
+const styles = {
+    popover: {
+        // Anchored at the pin by the CSS2D layer; moved up so that it does not cover the pin
+        transform: 'translateY(calc(-50% - 24px))',
+        minWidth: '180px',
+        padding: '8px 10px',
+        borderRadius: '8px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        border: '1px solid rgba(255, 255, 255, 0.3)',
+        color: '#fff',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.85rem',
+        lineHeight: 1.5,
+        pointerEvents: 'auto',
+        userSelect: 'none',
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: '10px',
+        fontWeight: 'bold',
+    },
+    close: {
+        background: 'none',
+        border: 'none',
+        color: '#fff',
+        cursor: 'pointer',
+        padding: 0,
+    },
+};
+
+/**
+ * 📍 UI Component: Info popover for a globe pin, with the local time, current weather and next sun event.
+ * `time` is the time shown on the globe (real or simulated); the weather and the sun event are looked up at that time.
+ */
+const PinPopover = ({ location, time, preferences, onClose }) => {
+    const [current, setCurrent] = useState(null);
+    const [sun, setSun] = useState(null);
+    // Only refetch when the minute changes, not on every update of the globe's time
+    const minute = time.startOf('minute');
+    const minuteKey = minute.toMillis();
+
+    useEffect(() => {
+        let cancelled = false;
+
+        Promise.all([
+            getCurrentWeatherForLocation(location.name, minute),
+            getNextSunEventForLocation(location.name, minute),
+        ]).then(([currentResult, sunResult]) => {
+            if (!cancelled) {
+                setCurrent(currentResult);
+                setSun(sunResult);
+            }
+        }).catch(error => {
+            console.error(`Failed to load the pin details for ${location.name}:`, error);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [location.name, minuteKey]);
+
+    return (
+        <div style={styles.popover}>
+            <div style={styles.header}>
+                <span>{location.countryFlag} {location.label}</span>
+                <button type="button" aria-label={translate(preferences.language, 'pin.close')} onClick={onClose} style={styles.close}>✕</button>
+            </div>
+            <div>🕒 {formatClockTime(time.setZone(location.timezone), preferences)}</div>
+            <div>
+                {current
+                    ? <>{current.icon} {formatTemperatureWithApparent(current.temperature, current.apparentTemperature, preferences)}</>
+                    : '...'}
+            </div>
+            <div>{sun ? formatSunEvent(sun, preferences) : '...'}</div>
+        </div>
+    );
+};
+
+export default PinPopover;
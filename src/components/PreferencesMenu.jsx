@@ -0,0 +1,48 @@
+import { getPreferenceOverrides, PREFERENCE_OPTIONS } from '../utils/preferences.js';
+import { translate } from '../utils/i18n.js';
+
+const styles = {
+    menu: {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '8px',
+        fontSize: '0.8rem',
+        pointerEvents: 'auto',
+    },
+    select: {
+        background: 'rgba(0, 0, 0, 0.55)',
+        color: '#fff',
+        border: '1px solid rgba(255, 255, 255, 0.3)',
+        borderRadius: '4px',
+        fontSize: '0.8rem',
+    },
+};
+
+/**
+ * 🎛️ UI Component: Lets the user switch units, clock format and language.
+ * Preferences fixed by the page (e.g. by the embed's query string) are left out, as changing them would have no effect.
+ */
+const PreferencesMenu = ({ preferences, onChange }) => {
+    const overrides = getPreferenceOverrides();
+
+    return (
+        <div style={styles.menu}>
+            {Object.entries(PREFERENCE_OPTIONS).filter(([key]) => !(key in overrides)).map(([key, options]) => (
+                <select
+                    key={key}
+                    aria-label={translate(preferences.language, `preferences.${key}`)}
+                    title={translate(preferences.language, `preferences.${key}`)}
+                    value={preferences[key]}
+                    onChange={event => onChange(key, event.target.value)}
+                    style={styles.select}
+                >
+                    {options.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            ))}
+        </div>
+    );
+};
+
+export default PreferencesMenu;
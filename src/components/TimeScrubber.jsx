@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { formatClockTime, formatLocalized } from '../utils/format.js';
+import { translate } from '../utils/i18n.js';
+import {
+    resetTimeline,
+    setTimelineFollowsClock,
+    setTimelineSpeed,
+    TIMELINE_SPEEDS,
+    updateTimeline
+} from '../utils/timeline.js';
+
+const styles = {
+    bar: {
+        position: 'absolute',
+        right: '16px',
+        bottom: '16px',
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '6px',
+        maxWidth: 'calc(100vw - 32px)',
+        padding: '6px 8px',
+        borderRadius: '8px',
+        background: 'rgba(0, 0, 0, 0.55)',
+        color: '#fff',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '0.8rem',
+    },
+    control: {
+        background: 'rgba(0, 0, 0, 0.55)',
+        color: '#fff',
+        border: '1px solid rgba(255, 255, 255, 0.3)',
+        borderRadius: '4px',
+        fontSize: '0.8rem',
+        cursor: 'pointer',
+    },
+    range: {
+        width: '180px',
+    },
+    time: {
+        minWidth: '170px',
+        fontVariantNumeric: 'tabular-nums',
+    },
+};
+
+const SPEED_LABELS = { 1: '1×', 60: '1 min/s', 600: '10 min/s', 3600: '1 h/s', 86400: '1 d/s' };
+
+// The slider covers either the minutes of the simulated day or the days of the simulated year
+const RANGES = {
+    day: {
+        min: () => 0,
+        max: () => 24 * 60 - 1,
+        value: (time) => time.hour * 60 + time.minute,
+        toTime: (time, value) => time.startOf('day').plus({ minutes: value }),
+    },
+    year: {
+        min: () => 1,
+        max: (time) => time.daysInYear,
+        value: (time) => time.ordinal,
+        toTime: (time, value) => time.set({ ordinal: value }),
+    },
+};
+
+/**
+ * 🕰️ UI Component: Time-travel controls for the globe. Scrubs through a day or a year, plays
+ * forwards or backwards at different speeds, and returns to live time.
+ * `time` is the simulated time (UTC) shown on the globe.
+ */
+const TimeScrubber = ({ timeline, time, preferences }) => {
+    const [range, setRange] = useState('day');
+    const t = (key) => translate(preferences.language, key);
+    const { min, max, value, toTime } = RANGES[range];
+    const speed = Math.abs(timeline.speed);
+    const direction = Math.sign(timeline.speed);
+
+    const play = (newDirection) => {
+        const playing = !(timeline.playing && newDirection === direction);
+        updateTimeline({ playing, speed: speed * newDirection });
+    };
+
+    return (
+        <div style={styles.bar}>
+            <span style={styles.time}>
+                {timeline.live ? '🔴' : '⏱️'} {formatLocalized(time, 'ccc d LLL yyyy', preferences)} {formatClockTime(time, preferences)} UTC
+            </span>
+            <select
+                aria-label={t('timeline.range')}
+                value={range}
+                onChange={event => setRange(event.target.value)}
+                style={styles.control}
+            >
+                <option value="day">{t('timeline.day')}</option>
+                <option value="year">{t('timeline.year')}</option>
+            </select>
+            <input
+                type="range"
+                aria-label={t('timeline.scrub')}
+                min={min(time)}
+                max={max(time)}
+                value={value(time)}
+                onChange={event => updateTimeline({ at: toTime(time, Number(event.target.value)) })}
+                style={styles.range}
+            />
+            <button
+                type="button"
+                title={t('timeline.backward')}
+                onClick={() => play(-1)}
+                style={styles.control}
+            >
+                {timeline.playing && direction < 0 ? '⏸' : '⏪'}
+            </button>
+            <button
+                type="button"
+                title={t('timeline.forward')}
+                onClick={() => play(1)}
+                style={styles.control}
+            >
+                {timeline.playing && direction > 0 ? '⏸' : '⏩'}
+            </button>
+            <select
+                aria-label={t('timeline.speed')}
+                value={speed}
+                onChange={event => setTimelineSpeed(Number(event.target.value) * direction)}
+                style={styles.control}
+            >
+                {TIMELINE_SPEEDS.map(option => (
+                    <option key={option} value={option}>{SPEED_LABELS[option]}</option>
+                ))}
+            </select>
+            <button
+                type="button"
+                disabled={timeline.live}
+                onClick={resetTimeline}
+                style={{ ...styles.control, opacity: timeline.live ? 0.5 : 1 }}
+            >
+                {t('timeline.live')}
+            </button>
+            <label>
+                <input
+                    type="checkbox"
+                    checked={timeline.followClock}
+                    onChange={event => setTimelineFollowsClock(event.target.checked)}
+                />
+                {' '}{t('timeline.followClock')}
+            </label>
+        </div>
+    );
+};
+
+export default TimeScrubber;
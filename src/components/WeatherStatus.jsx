@@ -0,0 +1,37 @@
+import { DateTime } from 'luxon';
+import { useEffect, useState } from 'react';
+import { getWeatherDataStatus, subscribeToWeatherUpdates } from '../services/weatherService.js';
+import { translate } from '../utils/i18n.js';
+
+/**
+ * 🕒 UI Component: Shows how old the weather data is and whether the API is reachable,
+ * e.g. "🕒 last updated 23 minutes ago" or "📴 offline · last updated 2 hours ago".
+ * `now` is passed in so the relative time is refreshed every minute.
+ */
+const WeatherStatus = ({ now, preferences }) => {
+    const [status, setStatus] = useState(() => getWeatherDataStatus());
+
+    useEffect(() => subscribeToWeatherUpdates(setStatus), []);
+
+    // Re-read the status every minute, since data turns stale without an update event
+    useEffect(() => {
+        setStatus(getWeatherDataStatus());
+    }, [now]);
+
+    const { language } = preferences;
+    const updated = status.updatedAt
+        ? translate(language, 'status.updated', {
+            time: DateTime.fromMillis(status.updatedAt).toRelative({ base: now, locale: language }),
+        })
+        : translate(language, 'status.none');
+
+    return (
+        <p style={{ fontSize: '0.75rem', opacity: status.isOffline || status.isStale ? 1 : 0.7, margin: '4px 0' }}>
+            {status.isOffline ? `📴 ${translate(language, 'status.offline')} · ` : '🕒 '}
+            {updated}
+            {status.isRevalidating && ' 🔄'}
+        </p>
+    );
+};
+
+export default WeatherStatus;
@@ -1,84 +1,582 @@
 // Imports
 import React, {useEffect, useRef, useState} from 'react';
+import {createPortal} from 'react-dom';
 import * as THREE from 'three';
 import ThreeGlobe from 'three-globe';
 import {OrbitControls} from 'three/examples/jsm/controls/OrbitControls.js';
 import {DateTime} from 'luxon';
 import {GLTFLoader} from 'three/examples/jsm/loaders/GLTFLoader.js';
+import {CSS2DObject, CSS2DRenderer} from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import WebGL from 'three/examples/jsm/capabilities/WebGL.js';
+import {CLOUDS, LOCATIONS, WEATHER_OVERLAYS} from '../config.js';
+import {fetchCloudImage} from '../services/cloudService.js';
+import {getWeatherGrid} from '../services/overlayService.js';
+import FlatWorldMap from './FlatWorldMap.jsx';
+import OverlayLegend from './OverlayLegend.jsx';
+import PinPopover from './PinPopover.jsx';
+import TimeScrubber from './TimeScrubber.jsx';
+import usePreferences from '../hooks/usePreferences.js';
+import useTimeline from '../hooks/useTimeline.js';
+import {formatDistance} from '../utils/format.js';
+import {translate} from '../utils/i18n.js';
+import {getFocusedLocation} from '../utils/globeFocus.js';
+import {colorForValue, OVERLAY_SCALES, sampleGrid} from '../utils/overlays.js';
+import {createFrameMonitor, QUALITY_LEVELS} from '../utils/frameBudget.js';
+import {compassDirection, EARTH_RADIUS_KM, getLocationPairs, intermediatePoint} from '../utils/geodesy.js';
+import {getMoonPhase, getSublunarPoint} from '../utils/lunarPosition.js';
+import {getSubsolarPoint} from '../utils/solarPosition.js';
+import {getTimelineTime} from '../utils/timeline.js';
+
+// Frees the GPU memory of everything in the scene: geometries, materials and the textures they use
+function disposeScene(scene) {
+    const textures = new Set();
+    scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        [].concat(object.material || []).forEach(material => {
+            Object.values(material).forEach(value => value && value.isTexture && textures.add(value));
+            Object.values(material.uniforms || {}).forEach(({value}) => value && value.isTexture && textures.add(value));
+            material.dispose();
+        });
+    });
+    textures.forEach(texture => texture.dispose());
+}
+
+// Copies the shading props into the uniforms of the globe and atmosphere materials
+function applyShading(uniforms, shading) {
+    Object.entries(shading).forEach(([name, value]) => {
+        if (!uniforms[name]) return;
+        if (uniforms[name].value instanceof THREE.Color) {
+            uniforms[name].value.set(value);
+        } else {
+            uniforms[name].value = value;
+        }
+    });
+}
+
+// Defaults of the object props; a prop only needs the keys that differ
+const DEFAULT_TEXTURES = {
+    day: 'assets/worldGlobe/earth-blue-marble.jpg',
+    night: 'assets/worldGlobe/earth-night.jpg',
+    height: 'assets/worldGlobe/earth-topology.png',
+    pin: 'assets/worldGlobe/pin.glb',
+    clouds: CLOUDS.fallbackUrl,
+};
+// Resolves relative URLs against a base URL; without one they stay relative to the page
+const resolveUrls = (urls, base) => base
+    ? Object.fromEntries(Object.entries(urls).map(([key, url]) => [key, new URL(url, base).href]))
+    : urls;
+const DEFAULT_CLOUDS = {
+    altitude: 0.014, // Lifts clouds to prevent clipping into mountains
+    heightScale: 0.5, // Controls cloud "puffiness"
+    opacity: 1, // Controls overall cloud transparency
+};
+const DEFAULT_CONTROL_LIMITS = {minDistance: 200, maxDistance: 500, zoomSpeed: 0.5, enableZoom: true};
+const DEFAULT_VIEW = {lat: 0, lng: 0, altitude: 3}; // Camera 400 units from the center, looking at 0°/0°
+
+// Distance and bearing shown on an arc
+const arcLabelText = (pair, preferences) => `${formatDistance(pair.distanceKm, preferences)} · 🧭 ${Math.round(pair.bearing)}° ${compassDirection(pair.bearing)}`;
 
 // Component Declaration
-export default function DayNightGlobe() {
+/**
+ * 🌍 UI Component: The day/night globe with clouds, pins, routes, weather overlays and the time scrubber.
+ * It fills its parent element and follows its size. All props are optional and can be changed at any time;
+ * the changes are applied to the running scene without recreating the renderer.
+ * markers - Locations to pin, in the shape of LOCATIONS in config.js (name, label, countryFlag, timezone,
+ *     latitude, longitude). Defaults to LOCATIONS; the popover only has weather for configured locations.
+ * textures - URLs of the `day`, `night` and `height` maps, of the `pin` model (glTF) and of the `clouds` image shown
+ *     when the live cloud map cannot be loaded.
+ * assetBase - URL the default textures are resolved against, e.g. the URL of a script that embeds the globe on
+ *     another site. Defaults to the page's URL.
+ * clouds - `altitude` of the cloud layer and `heightScale` of its relief in globe radii, and its `opacity`.
+ * controlLimits - `minDistance`/`maxDistance` of the camera from the globe's center (the globe's radius is 100),
+ *     `zoomSpeed` and `enableZoom`.
+ * initialView - `{lat, lng, altitude}` the camera looks from at first (altitude in globe radii); changing it flies there.
+ * pinScale - Size of the pin models.
+ * onPinClick(location) - Called with the marker whose pin was clicked, besides opening its popover.
+ * onReady() - Called once the textures are loaded and the globe is drawn.
+ * The shading props tune the lighting:
+ * atmosphereColor/atmosphereIntensity - Glow around the globe on the day side.
+ * twilightColor/twilightIntensity - Orange band along the terminator, also tints the atmosphere at sunset.
+ * specularIntensity - Sun glint on the oceans.
+ * cityLightsIntensity - Brightness of the city lights at night (they fade in between civil and nautical dusk).
+ */
+export default function DayNightGlobe({
+    markers = LOCATIONS,
+    textures = {},
+    assetBase,
+    clouds = {},
+    controlLimits = {},
+    initialView = {},
+    pinScale = 1.5,
+    onPinClick,
+    onReady,
+    atmosphereColor = '#5ea8ff',
+    atmosphereIntensity = 1,
+    twilightColor = '#ff8c42',
+    twilightIntensity = 0.6,
+    specularIntensity = 0.6,
+    cityLightsIntensity = 1,
+}) {
     const mountRef = useRef();
     const materialRef = useRef();
     const globeRef = useRef();
     const cloudsRef = useRef(); // Ref to store the clouds mesh
-    const [utcTime, setUtcTime] = useState(''); // State to store and display UTC time
+    const atmosphereRef = useRef(); // Ref to store the atmosphere mesh
+    const shading = {atmosphereColor, atmosphereIntensity, twilightColor, twilightIntensity, specularIntensity, cityLightsIntensity};
+    const shadingRef = useRef(shading); // Read when the materials are created
+    shadingRef.current = shading;
+    const [displayTime, setDisplayTime] = useState(() => DateTime.utc()); // The (possibly simulated) time shown by the scrubber
+    const timeline = useTimeline();
+    const timelineRef = useRef(timeline); // Read by the animation loop without restarting it
+    const [preferences] = usePreferences();
+    const [selectedLocation, setSelectedLocation] = useState(null); // Name of the location whose popover is open
+    const [popoverElement, setPopoverElement] = useState(null); // CSS2D element the popover is rendered into
+    const selectPinRef = useRef(() => {}); // Opens or closes a popover, set up with the scene
+    const arcLabelsRef = useRef([]); // Distance labels of the arcs, updated when the units change
+    const [cloudsInfo, setCloudsInfo] = useState(null); // {capturedAt, fallback} of the cloud image shown
+    const cameraModeRef = useRef(preferences.cameraMode); // Read by the animation loop
+    const [overlayData, setOverlayData] = useState(null); // {grid, error} of the weather overlay shown
+    const renderingRef = useRef(preferences.rendering); // Read by the animation loop
+    const requestRenderRef = useRef(() => {}); // Schedules a frame, set up with the scene
+    const [fallback, setFallback] = useState(null); // Why the flat map is shown: 'unsupported', 'contextLost' or 'textures'
+    const textureUrls = {...resolveUrls(DEFAULT_TEXTURES, assetBase), ...textures};
+    const cloudSettings = {...DEFAULT_CLOUDS, ...clouds};
+    const limits = {...DEFAULT_CONTROL_LIMITS, ...controlLimits};
+    const view = {...DEFAULT_VIEW, ...initialView};
+    const markersKey = JSON.stringify(markers); // Compared by content, so an inline array does not rebuild the pins
+    const settingsRef = useRef(null); // Read when the scene is set up and by its event handlers
+    settingsRef.current = {markers, textureUrls, cloudSettings, view, pinScale, onPinClick, onReady, preferences};
+    const sceneRef = useRef(null); // Applies prop changes to the running scene, set up with the scene
+
+    useEffect(() => {
+        cameraModeRef.current = preferences.cameraMode;
+        requestRenderRef.current();
+    }, [preferences.cameraMode]);
+
+    useEffect(() => {
+        renderingRef.current = preferences.rendering;
+        requestRenderRef.current();
+    }, [preferences.rendering]);
+
+    useEffect(() => {
+        timelineRef.current = timeline;
+        setDisplayTime(getTimelineTime(timeline));
+        requestRenderRef.current();
+    }, [timeline]);
 
     // useEffect Hook
     useEffect(() => {
         // Initial Constants and Three.js Setup
 
-        const scene = new THREE.Scene();
-        const renderer = new THREE.WebGLRenderer({antialias: true}); // Enable antialiasing for smoother edges
+        // Without WebGL, the flat map is shown instead of the globe
+        if (!WebGL.isWebGL2Available()) {
+            setFallback('unsupported');
+            return;
+        }
 
-        // Conditionally set renderer size and pixel ratio only if window is defined
-        if (typeof window !== 'undefined') {
-            renderer.setSize(window.innerWidth, window.innerHeight);
-            renderer.setPixelRatio(Math.min(2, window.devicePixelRatio));
+        let renderer;
+        try {
+            renderer = new THREE.WebGLRenderer({antialias: true}); // Enable antialiasing for smoother edges
+        } catch (error) {
+            console.error('WebGL renderer could not be created:', error);
+            setFallback('unsupported');
+            return;
         }
-        mountRef.current.appendChild(renderer.domElement);
+        const scene = new THREE.Scene();
+
+        // Adaptive quality: the pixel ratio and cloud detail are lowered when frames take too long
+        const frameMonitor = createFrameMonitor();
+        const pixelRatioFor = (level) => Math.min(QUALITY_LEVELS[level].pixelRatio, window.devicePixelRatio);
+
+        // The canvas has the size of the container, which can be anything from a widget to the whole window
+        const mount = mountRef.current;
+        renderer.setSize(mount.clientWidth, mount.clientHeight);
+        renderer.setPixelRatio(pixelRatioFor(frameMonitor.level));
+        mount.appendChild(renderer.domElement);
+
+        // Frames are only drawn when requested: continuously while something moves (see renderFrame), otherwise
+        // after user input, a loaded texture or the per-minute sun update. Nothing is drawn while the tab is hidden.
+        let frameId = null;
+        let renderFrame = null; // Set once the textures are loaded
+        let disposed = false;
+        let contextLost = false;
+        const requestRender = () => {
+            if (frameId === null && renderFrame && !document.hidden && !contextLost) {
+                frameId = requestAnimationFrame(renderFrame);
+            }
+        };
+        requestRenderRef.current = requestRender;
+
+        // The GPU can drop the context (driver reset, too many contexts, ...); the flat map bridges the gap
+        const handleContextLost = (event) => {
+            event.preventDefault(); // Lets the browser restore the context
+            contextLost = true;
+            cancelAnimationFrame(frameId);
+            frameId = null;
+            setFallback('contextLost');
+        };
+        const handleContextRestored = () => {
+            contextLost = false; // three.js uploads the geometries, textures and shaders again on the next render
+            setFallback(null);
+            requestRender();
+        };
+        renderer.domElement.addEventListener('webglcontextlost', handleContextLost);
+        renderer.domElement.addEventListener('webglcontextrestored', handleContextRestored);
+
+        // HTML layer for the pin labels and popover, rendered on top of the canvas
+        const labelRenderer = new CSS2DRenderer();
+        labelRenderer.domElement.style.position = 'absolute';
+        labelRenderer.domElement.style.top = '0';
+        labelRenderer.domElement.style.pointerEvents = 'none';
+        labelRenderer.setSize(mount.clientWidth, mount.clientHeight);
+        mount.appendChild(labelRenderer.domElement);
 
         // Camera Setup
-        const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000); // Initialize aspect ratio to 1, will be updated in handleResize
-        camera.position.z = 400; // Adjusted camera Z position further back for a better initial fit
+        const camera = new THREE.PerspectiveCamera(75, (mount.clientWidth || 1) / (mount.clientHeight || 1), 0.1, 1000);
 
-        // Conditionally update camera aspect ratio only if window is defined
-        if (typeof window !== 'undefined') {
-            camera.aspect = window.innerWidth / window.innerHeight;
-        }
-        camera.updateProjectionMatrix();
+        // Globe Initialization
+        const Globe = new ThreeGlobe();
+
+        globeRef.current = Globe;
+        scene.add(Globe);
+
+        // Starting position of the camera, in globe radii above the surface
+        const startView = settingsRef.current.view;
+        let viewKey = `${startView.lat},${startView.lng},${startView.altitude}`;
+        const {x: cameraX, y: cameraY, z: cameraZ} = Globe.getCoords(startView.lat, startView.lng, startView.altitude);
+        camera.position.set(cameraX, cameraY, cameraZ);
 
-        // OrbitControls Setup
+        // OrbitControls Setup; the limits come from the controlLimits prop
         const controls = new OrbitControls(camera, renderer.domElement);
-        controls.minDistance = 200; // Minimum zoom distance (still relevant for initial position)
-        controls.maxDistance = 500; // Maximum zoom distance (still relevant for initial position)
-        controls.zoomSpeed = 0.5; // Slows down zooming for smoother scroll behavior
         controls.enableDamping = true; // Enables smooth damping
         controls.dampingFactor = 0.05; // Damping factor for smooth movement
-        controls.enableZoom = true; // Deactivate the ability to zoom the map
         controls.enablePan = false; // Deactivate the ability to pan/move the globe
 
-        // Globe Initialization
-        const Globe = new ThreeGlobe();
+        // Markers Data (one pin per location of the markers prop), set by setMarkers below
+        let markers = [];
+        Globe.pointAltitude('size').pointColor('color');
+
+        // Weather overlay: points sampled from the grid, binned into hexagons that are colored by their mean value.
+        // The colors and points are set by the overlay effect below.
+        const OVERLAY_ALT = 0.006; // Flat layer below the clouds
+        Globe.hexBinPointWeight('value')
+            .hexBinResolution(1) // Hexagons of about 800 km across, at least one sample point each
+            .hexMargin(0)
+            .hexAltitude(OVERLAY_ALT)
+            .hexBinMerge(true)
+            .hexTransitionDuration(0);
+
+        // Labels and popover anchor, positioned above the pins
+        const LABEL_ALT = 0.08;
+        let labels = [];
+        const createLabel = (location) => {
+            const element = document.createElement('div');
+            element.textContent = `${location.countryFlag} ${location.name}`;
+            Object.assign(element.style, {
+                transform: 'translateY(-14px)',
+                color: '#fff',
+                fontFamily: 'Arial, sans-serif',
+                fontSize: '0.8rem',
+                textShadow: '0 0 3px #000, 0 0 6px #000', // Readable on bright clouds as well
+                whiteSpace: 'nowrap',
+                userSelect: 'none',
+            });
 
-        // Markers Data
-        const markers = [
-            {
-                lat: -12.8617,
-                lng: -69.4948,
-                size: 0,
-                /*color: 'white',*/
-            },
-            {
-                lat: 51.0504,
-                lng: 13.7373,
+            const label = new CSS2DObject(element);
+            const {x, y, z} = Globe.getCoords(location.latitude, location.longitude, LABEL_ALT);
+            label.position.set(x, y, z);
+            label.userData.locationName = location.name;
+            Globe.add(label);
+            return label;
+        };
+
+        // Great-circle arcs between every pair of locations, with a travelling dash
+        const ARC_ALTITUDE_SCALE = 0.35; // Flight-path height relative to the arc length; 0 draws the arcs along the surface
+        const ARC_DASH_ANIMATE_TIME = 4000; // Milliseconds for a dash to travel the whole arc
+        Globe.arcColor(() => ['rgba(255, 200, 80, 0.9)', 'rgba(80, 200, 255, 0.9)'])
+            .arcAltitudeAutoScale(ARC_ALTITUDE_SCALE)
+            .arcStroke(0.5)
+            .arcDashLength(0.3)
+            .arcDashGap(0.1)
+            .arcDashAnimateTime(ARC_DASH_ANIMATE_TIME);
+
+        // Distance and bearing at the highest point of each arc. three-globe raises the arc to
+        // half its central angle times the scale; the Bézier curve peaks at about 9/8 of that.
+        const createArcLabel = (pair) => {
+            const midpoint = intermediatePoint(pair.from, pair.to, 0.5);
+            const centralAngle = pair.distanceKm / EARTH_RADIUS_KM;
+            const element = document.createElement('div');
+            Object.assign(element.style, {
+                color: '#fff',
+                fontFamily: 'Arial, sans-serif',
+                fontSize: '0.75rem',
+                textShadow: '0 0 3px #000, 0 0 6px #000',
+                whiteSpace: 'nowrap',
+                userSelect: 'none',
+            });
+
+            element.textContent = arcLabelText(pair, settingsRef.current.preferences);
+
+            const label = new CSS2DObject(element);
+            const {x, y, z} = Globe.getCoords(midpoint.latitude, midpoint.longitude, centralAngle / 2 * ARC_ALTITUDE_SCALE * 9 / 8 + 0.02);
+            label.position.set(x, y, z);
+            label.userData.pair = pair;
+            Globe.add(label);
+            return label;
+        };
+
+        const popoverAnchor = new CSS2DObject(document.createElement('div'));
+        popoverAnchor.visible = false;
+        Globe.add(popoverAnchor);
+        setPopoverElement(popoverAnchor.element);
+
+        // Moon marker above the sublunar point, showing the current phase
+        const MOON_ALT = 0.3;
+        const moonElement = document.createElement('div');
+        Object.assign(moonElement.style, {
+            fontSize: '1.2rem',
+            textShadow: '0 0 6px rgba(255, 255, 255, 0.6)',
+            userSelect: 'none',
+        });
+        const moonLabel = new CSS2DObject(moonElement);
+        Globe.add(moonLabel);
+
+        // A point is hidden once it has moved behind the globe's horizon as seen from the camera
+        const isFacingCamera = (object) => {
+            const surface = object.position.clone().setLength(Globe.getGlobeRadius());
+            return surface.dot(camera.position) > Globe.getGlobeRadius() ** 2;
+        };
+
+        selectPinRef.current = (locationName) => {
+            const marker = markers.find(m => m.name === locationName);
+            if (marker) {
+                const {x, y, z} = Globe.getCoords(marker.lat, marker.lng, LABEL_ALT);
+                popoverAnchor.position.set(x, y, z);
+            }
+            popoverAnchor.userData.locationName = marker ? marker.name : null;
+            setSelectedLocation(marker ? marker.name : null);
+            requestRender();
+        };
+
+        // Pin models, cloned from the loaded model for every marker. Kept when the textures are reloaded.
+        let pins = [];
+        let pinTemplate = null;
+        let pinUrl = null;
+
+        const buildPins = () => {
+            pins.forEach(pin => Globe.remove(pin)); // The clones share the template's geometry and materials
+            if (!pinTemplate) {
+                pins = [];
+                return;
+            }
+
+            const scale = 2 * settingsRef.current.pinScale;
+            pins = markers.map(marker => {
+                const pin = pinTemplate.clone();
+
+                // Get the coordinates object from the three-globe library
+                const positionObj = Globe.getCoords(marker.lat, marker.lng, 0);
+
+                // Set the position of the pin
+                pin.position.set(positionObj.x, positionObj.y, positionObj.z);
+
+                // Align the pin to be perpendicular to the globe's surface
+                const up = pin.position.clone().normalize();
+                const target = new THREE.Vector3(0, 1, 0); // Assuming pin model's "up" is Y-axis
+                pin.quaternion.setFromUnitVectors(target, up);
+
+                pin.scale.setScalar(scale);
+
+                // Used to find the location when the pin is hovered or clicked
+                pin.userData.locationName = marker.name;
+                Globe.add(pin);
+                return pin;
+            });
+            requestRender();
+        };
+
+        // Loads the pin model once per URL and replaces the pins with clones of it
+        const loadPinModel = async (url) => {
+            if (url === pinUrl) return;
+            pinUrl = url;
+
+            const gltf = await new GLTFLoader().loadAsync(url);
+            if (disposed || url !== pinUrl) {
+                disposeScene(gltf.scene);
+                return;
+            }
+            if (pinTemplate) {
+                pins.forEach(pin => Globe.remove(pin));
+                pins = [];
+                disposeScene(pinTemplate);
+            }
+            pinTemplate = gltf.scene;
+            buildPins();
+        };
+
+        // Replaces the pins, labels and routes with those of the given locations
+        const setMarkers = (locations) => {
+            markers = locations.map(location => ({
+                lat: location.latitude,
+                lng: location.longitude,
                 size: 0,
-                /*color: 'white',*/
-            },
-            /* {
-               lat: 0,
-               lng: 0,
-               size: 0.3,
-               color: 'yellow',
-               id: 'sun'
-             }*/
-        ];
+                name: location.name,
+            }));
+            Globe.pointsData(markers);
+
+            labels.forEach(label => Globe.remove(label)); // Removing a CSS2DObject also removes its element
+            labels = locations.map(createLabel);
+
+            const arcs = getLocationPairs(locations).map(pair => ({
+                pair,
+                startLat: pair.from.latitude,
+                startLng: pair.from.longitude,
+                endLat: pair.to.latitude,
+                endLng: pair.to.longitude,
+            }));
+            Globe.arcsData(arcs);
+            arcLabelsRef.current.forEach(label => Globe.remove(label));
+            arcLabelsRef.current = arcs.map(({pair}) => createArcLabel(pair));
+
+            // The popover and tour only refer to locations that are still there
+            if (popoverAnchor.userData.locationName && !markers.some(m => m.name === popoverAnchor.userData.locationName)) {
+                selectPinRef.current(null);
+            }
+            tourIndex = -1;
 
-        globeRef.current = Globe;
-        scene.add(Globe);
+            buildPins();
+            requestRender();
+        };
+
+        // Hover and click on pins, via raycasting against the pin models
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        let hoveredLocation = null;
+        let pointerDownAt = null;
+
+        const findPinAt = (event) => {
+            const rect = renderer.domElement.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, camera);
+            const [hit] = raycaster.intersectObjects(pins, true);
+
+            let object = hit ? hit.object : null;
+            while (object && !object.userData.locationName) object = object.parent;
+            // The ray also reaches pins on the far side of the globe
+            return object && isFacingCamera(object) ? object.userData.locationName : null;
+        };
+
+        const handlePointerMove = (event) => {
+            const locationName = findPinAt(event);
+            if (locationName === hoveredLocation) return;
+
+            hoveredLocation = locationName;
+            renderer.domElement.style.cursor = locationName ? 'pointer' : '';
+            labels.forEach(label => {
+                label.element.style.fontWeight = label.userData.locationName === locationName ? 'bold' : 'normal';
+            });
+        };
+
+        const handlePointerDown = (event) => {
+            pointerDownAt = {x: event.clientX, y: event.clientY};
+        };
 
-        // Set globe data for points
-        Globe.pointsData(markers).pointAltitude('size').pointColor('color');
+        // Dragging the globe also ends with a pointerup, so only short movements count as clicks
+        const handlePointerUp = (event) => {
+            if (!pointerDownAt || Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > 5) return;
+            const locationName = findPinAt(event);
+            selectPinRef.current(locationName);
+
+            const {markers: locations, onPinClick} = settingsRef.current;
+            if (locationName && onPinClick) onPinClick(locations.find(location => location.name === locationName));
+        };
+
+        renderer.domElement.addEventListener('pointermove', handlePointerMove);
+        renderer.domElement.addEventListener('pointerdown', handlePointerDown);
+        renderer.domElement.addEventListener('pointerup', handlePointerUp);
+
+        // Camera movement: fly-to transitions, and the idle modes of the cameraMode preference
+        const FLY_DURATION = 2000; // Milliseconds per fly-to
+        const FOCUS_ALTITUDE = 1.5; // Camera altitude after a fly-to, in globe radii above the surface
+        const IDLE_DELAY = 20 * 1000; // The idle modes take over this long after the last interaction
+        const TOUR_INTERVAL = 10 * 1000; // Time spent at each location during a tour
+        let flight = null;
+        let lastInteraction = -Infinity;
+        let tourIndex = -1;
+        let nextTourStop = 0;
+
+        const flyTo = (lat, lng, altitude = FOCUS_ALTITUDE) => {
+            const from = Globe.toGeoCoords(camera.position);
+            flight = {from, to: {lat, lng, altitude}, start: performance.now()};
+            requestRender();
+        };
+
+        const setCameraGeo = (lat, lng, altitude) => {
+            const {x, y, z} = Globe.getCoords(lat, lng, altitude);
+            camera.position.set(x, y, z);
+        };
+
+        // Moves the camera for one frame; `sunLng` is the longitude of the subsolar point
+        const updateCamera = (sunLng) => {
+            const time = performance.now();
+
+            if (flight) {
+                const progress = Math.min(1, (time - flight.start) / FLY_DURATION);
+                const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2; // Ease in and out
+                const {from, to} = flight;
+                const point = intermediatePoint({latitude: from.lat, longitude: from.lng}, {latitude: to.lat, longitude: to.lng}, eased);
+                setCameraGeo(point.latitude, point.longitude, from.altitude + (to.altitude - from.altitude) * eased);
+                if (progress === 1) flight = null;
+                return;
+            }
+
+            if (time - lastInteraction < IDLE_DELAY) return;
+
+            if (cameraModeRef.current === 'terminator') {
+                // Drift towards the dusk line (90° east of the subsolar point) and stay above it as it moves
+                const current = Globe.toGeoCoords(camera.position);
+                const delta = ((sunLng + 90 - current.lng) % 360 + 540) % 360 - 180;
+                setCameraGeo(current.lat, current.lng + delta * 0.01, current.altitude);
+            } else if (cameraModeRef.current === 'tour' && time >= nextTourStop && markers.length > 0) {
+                tourIndex = (tourIndex + 1) % markers.length;
+                flyTo(markers[tourIndex].lat, markers[tourIndex].lng);
+                nextTourStop = time + FLY_DURATION + TOUR_INTERVAL;
+            }
+        };
+
+        // Dragging or zooming cancels a flight and pauses the idle modes
+        const handleControlsStart = () => {
+            flight = null;
+            lastInteraction = performance.now();
+        };
+        controls.addEventListener('start', handleControlsStart);
+        controls.addEventListener('change', requestRender);
+
+        // Pause everything, including the animations of three-globe, while the tab is hidden
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                cancelAnimationFrame(frameId);
+                frameId = null;
+                Globe.pauseAnimation();
+            } else {
+                Globe.resumeAnimation();
+                requestRender();
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        const focusFromHash = () => {
+            const location = getFocusedLocation(settingsRef.current.markers);
+            if (!location) return;
+
+            flyTo(location.latitude, location.longitude);
+            lastInteraction = performance.now(); // Stay at the location for a while
+        };
+        window.addEventListener('hashchange', focusFromHash);
+        focusFromHash();
 
         // Adding Lights
         // Ambient light provides general illumination
@@ -92,12 +590,15 @@ export default function DayNightGlobe() {
         uniform sampler2D heightTexture; // Texture for height displacement
         varying vec3 vNormal; // Normal vector passed to fragment shader
         varying vec2 vUv; // UV coordinates passed to fragment shader
+        varying vec3 vViewPosition; // Position in view space, for the specular highlight
         void main() {
           vNormal = normalize(normalMatrix * normal); // Transform normal to view space
           vUv = uv; // Pass UV coordinates
           float height = texture2D(heightTexture, vUv).r; // Get height from texture
           vec3 displacedPosition = position + normal * height * 1.8; // Displace vertex
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(displacedPosition, 1.0); // Project vertex
+          vec4 viewPosition = modelViewMatrix * vec4(displacedPosition, 1.0);
+          vViewPosition = viewPosition.xyz;
+          gl_Position = projectionMatrix * viewPosition; // Project vertex
         }
       `,
             fragmentShader: `
@@ -106,8 +607,14 @@ export default function DayNightGlobe() {
         uniform sampler2D nightTexture; // Night texture
         uniform vec2 sunPosition; // Sun's longitude and latitude
         uniform vec2 globeRotation; // Globe's current rotation (from camera perspective)
+        uniform sampler2D heightTexture; // Sea level, for the water mask
+        uniform vec3 twilightColor; // Tint of the band along the terminator
+        uniform float twilightIntensity;
+        uniform float specularIntensity; // Sun glint on water
+        uniform float cityLightsIntensity; // Brightness of the night texture once it is dark
         varying vec3 vNormal; // Normal in view space
         varying vec2 vUv;
+        varying vec3 vViewPosition;
 
         // Convert degrees to radians
         float toRad(in float a) {
@@ -152,16 +659,81 @@ export default function DayNightGlobe() {
           vec4 dayColor = texture2D(dayTexture, vUv);
           vec4 nightColor = texture2D(nightTexture, vUv);
 
+          // The intensity is the sine of the sun's elevation. The city lights switch on as civil twilight ends
+          // (sun 6° below the horizon) and reach full brightness when nautical twilight ends (12° below)
+          float lights = 1.0 - smoothstep(-0.2079, -0.1045, intensity);
+          vec3 night = nightColor.rgb * mix(0.3, cityLightsIntensity, lights);
+
           // Smoothly blend between day and night based on intensity
           float blendFactor = smoothstep(-0.1, 0.1, intensity);
-          gl_FragColor = mix(nightColor, dayColor, blendFactor);
+          vec3 color = mix(night, dayColor.rgb, blendFactor);
+
+          // Orange band along the terminator, strongest where the sun is on the horizon
+          float twilight = exp(-(intensity / 0.08) * (intensity / 0.08));
+          color = mix(color, color * twilightColor * 1.6 + twilightColor * 0.08, twilight * twilightIntensity);
+
+          // Sun glint on water. The day texture has no water mask, so water is where the terrain is at
+          // sea level and blue dominates (which leaves out lowland forests such as the Amazon)
+          float seaLevel = 1.0 - step(0.02, texture2D(heightTexture, vUv).r);
+          float water = seaLevel * smoothstep(0.03, 0.08, dayColor.b - max(dayColor.r, dayColor.g));
+          vec3 halfVector = normalize(normalize(rotatedSunDirection) + normalize(-vViewPosition));
+          float glint = pow(max(dot(normalize(vNormal), halfVector), 0.0), 60.0) * smoothstep(0.0, 0.1, intensity);
+          color += vec3(1.0, 0.95, 0.85) * glint * water * specularIntensity;
+
+          gl_FragColor = vec4(color, 1.0);
         }
       `
         };
 
+        // Glow around the globe: a shell rendered from the inside, brightest where the view ray grazes the globe
+        const atmosphereShader = {
+            vertexShader: `
+                varying vec3 vWorldPosition;
+
+                void main() {
+                    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                    vWorldPosition = worldPosition.xyz;
+                    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+                }
+            `,
+            fragmentShader: `
+                #define PI 3.141592653589793
+                uniform vec2 sunPosition;
+                uniform vec3 atmosphereColor;
+                uniform vec3 twilightColor;
+                uniform float atmosphereIntensity;
+                uniform float globeRadius;
+                uniform float atmosphereRadius;
+                varying vec3 vWorldPosition;
+
+                // Helper function from day/night shader
+                vec3 Polar2Cartesian(in vec2 c) {
+                  float theta = (90.0 - c.x) * PI / 180.0;
+                  float phi = (90.0 - c.y) * PI / 180.0;
+                  return vec3(sin(phi) * cos(theta), cos(phi), sin(phi) * sin(theta));
+                }
+
+                void main() {
+                    // Point where the view ray comes closest to the globe's center (the globe is at the origin)
+                    vec3 rayDirection = normalize(vWorldPosition - cameraPosition);
+                    vec3 closest = cameraPosition - dot(cameraPosition, rayDirection) * rayDirection;
+                    float glow = 1.0 - smoothstep(globeRadius, atmosphereRadius, length(closest));
+
+                    // Blue where the sun is up at that point, orange where it sets, dark at night
+                    float sunAmount = dot(normalize(closest), Polar2Cartesian(sunPosition));
+                    vec3 color = mix(twilightColor, atmosphereColor, smoothstep(-0.05, 0.3, sunAmount));
+                    float brightness = smoothstep(-0.3, 0.1, sunAmount);
+
+                    gl_FragColor = vec4(color * glow * glow * brightness * atmosphereIntensity, 1.0);
+                }
+            `
+        };
+
         const cloudsShader = {
             vertexShader: `
                 uniform sampler2D cloudsTexture;
+                uniform sampler2D previousCloudsTexture; // Faded out while cloudsTexture is faded in
+                uniform float uCrossfade; // 0: previous image only, 1: current image only
                 uniform float cloudHeightScale;
                 varying vec2 vUv;
                 varying vec3 vNormal; // Pass normal to fragment shader
@@ -171,7 +743,7 @@ export default function DayNightGlobe() {
                     vNormal = normalize(normalMatrix * normal); // Calculate and pass the normal
 
                     // Sample the full color of the texture
-                    vec4 cloudTexel = texture2D(cloudsTexture, vUv);
+                    vec4 cloudTexel = mix(texture2D(previousCloudsTexture, vUv), texture2D(cloudsTexture, vUv), uCrossfade);
 
                     // Calculate luminance (brightness) from the RGB channels.
                     float luminance = cloudTexel.r;
@@ -187,6 +759,8 @@ export default function DayNightGlobe() {
             fragmentShader: `
                 #define PI 3.141592653589793
                 uniform sampler2D cloudsTexture;
+                uniform sampler2D previousCloudsTexture;
+                uniform float uCrossfade;
                 uniform float uOpacity;
                 uniform vec2 sunPosition;
                 uniform vec2 globeRotation;
@@ -229,7 +803,7 @@ export default function DayNightGlobe() {
                     float intensity = dot(normalize(vNormal), normalize(rotatedSunDirection));
 
                     // --- Cloud Color Calculation ---
-                    vec4 cloudColor = texture2D(cloudsTexture, vUv);
+                    vec4 cloudColor = mix(texture2D(previousCloudsTexture, vUv), texture2D(cloudsTexture, vUv), uCrossfade);
                     float luminance = cloudColor.r;
 
                     if (luminance < 0.01) discard;
@@ -246,36 +820,136 @@ export default function DayNightGlobe() {
             `
         };
 
-        const CLOUDS_ALT = 0.014;           // Lifts clouds to prevent clipping into mountains
-        const CLOUD_HEIGHT_SCALE = 0.5;    // Controls cloud "puffiness"
-        const CLOUDS_OPACITY = 1;        // Controls overall cloud transparency
+        const ATMOSPHERE_ALT = 0.15;        // Thickness of the glow around the globe
+        let cloudSettings = settingsRef.current.cloudSettings; // Altitude, relief and opacity of the clouds
+        let cloudsIntervalId = null;       // Periodic refresh of the cloud map
+        let sunIntervalId = null;          // Per-minute redraw for the sun position in on-demand mode
+
+        const createCloudsGeometry = (segments) => new THREE.SphereGeometry(Globe.getGlobeRadius() * (1 + cloudSettings.altitude), segments, segments);
+
+        const applyQuality = (level) => {
+            renderer.setPixelRatio(pixelRatioFor(level));
+            if (cloudsRef.current) {
+                cloudsRef.current.geometry.dispose();
+                cloudsRef.current.geometry = createCloudsGeometry(QUALITY_LEVELS[level].cloudSegments);
+            }
+        };
+
+        const setClouds = (settings) => {
+            const altitudeChanged = settings.altitude !== cloudSettings.altitude;
+            cloudSettings = settings;
+            if (!cloudsRef.current) return;
+
+            const {uniforms} = cloudsRef.current.material;
+            uniforms.cloudHeightScale.value = settings.heightScale;
+            uniforms.uOpacity.value = Math.min(uniforms.uOpacity.value, settings.opacity); // A higher opacity is faded in
+            if (altitudeChanged) {
+                cloudsRef.current.geometry.dispose();
+                cloudsRef.current.geometry = createCloudsGeometry(QUALITY_LEVELS[frameMonitor.level].cloudSegments);
+            }
+            requestRender();
+        };
+
+        // Swaps the maps of the running globe for those of the textures prop. A map that cannot be loaded is kept.
+        const textureUrls = {...settingsRef.current.textureUrls}; // URLs of the maps shown
+        const setTextures = (urls) => {
+            const material = materialRef.current;
+            if (!material) return; // The first load below catches up with changes once it is done
+
+            loadPinModel(urls.pin).catch(error => console.error('Failed to load the pin model:', error));
+            ['day', 'night', 'height'].filter(key => urls[key] !== textureUrls[key]).forEach(key => {
+                textureUrls[key] = urls[key];
+                new THREE.TextureLoader().loadAsync(urls[key]).then(texture => {
+                    if (disposed || textureUrls[key] !== urls[key]) {
+                        texture.dispose();
+                        return;
+                    }
+                    const uniform = material.uniforms[`${key}Texture`];
+                    uniform.value.dispose();
+                    uniform.value = texture;
+                    requestRender();
+                }).catch(error => console.warn(`Texture ${urls[key]} could not be loaded:`, error));
+            });
+        };
 
         // Loading Textures and Material Setup
         Promise.all([
-            new THREE.TextureLoader().loadAsync('assets/worldGlobe/earth-blue-marble.jpg'),
-            new THREE.TextureLoader().loadAsync('assets/worldGlobe/earth-night.jpg'),
-            new THREE.TextureLoader().loadAsync('assets/worldGlobe/earth-topology.png'),
+            new THREE.TextureLoader().loadAsync(textureUrls.day),
+            new THREE.TextureLoader().loadAsync(textureUrls.night),
+            new THREE.TextureLoader().loadAsync(textureUrls.height),
         ]).then(([dayTexture, nightTexture, heightTexture]) => {
+            if (disposed) {
+                [dayTexture, nightTexture, heightTexture].forEach(texture => texture.dispose());
+                return;
+            }
+
             const material = new THREE.ShaderMaterial({
                 uniforms: {
                     dayTexture: {value: dayTexture},
                     nightTexture: {value: nightTexture},
                     heightTexture: {value: heightTexture},
                     sunPosition: {value: new THREE.Vector2()},
-                    globeRotation: {value: new THREE.Vector2()}
+                    globeRotation: {value: new THREE.Vector2()},
+                    twilightColor: {value: new THREE.Color()},
+                    twilightIntensity: {value: 0},
+                    specularIntensity: {value: 0},
+                    cityLightsIntensity: {value: 1},
                 },
                 vertexShader: dayNightShader.vertexShader,
                 fragmentShader: dayNightShader.fragmentShader
             });
 
+            applyShading(material.uniforms, shadingRef.current);
             materialRef.current = material; // Store material reference
             Globe.globeMaterial(material); // Apply the custom material to the globe
 
-            // Load clouds texture asynchronously
-            new THREE.TextureLoader().load('https://clouds.matteason.co.uk/images/4096x2048/clouds.jpg', cloudsTexture => {
+            // Replaces the plain glow of three-globe, which does not know where the sun is
+            Globe.showAtmosphere(false);
+            const Atmosphere = new THREE.Mesh(
+                new THREE.SphereGeometry(Globe.getGlobeRadius() * (1 + ATMOSPHERE_ALT), 64, 64),
+                new THREE.ShaderMaterial({
+                    uniforms: {
+                        sunPosition: material.uniforms.sunPosition, // Share uniform from main globe
+                        atmosphereColor: {value: new THREE.Color()},
+                        twilightColor: {value: new THREE.Color()},
+                        atmosphereIntensity: {value: 1},
+                        globeRadius: {value: Globe.getGlobeRadius()},
+                        atmosphereRadius: {value: Globe.getGlobeRadius() * (1 + ATMOSPHERE_ALT)},
+                    },
+                    vertexShader: atmosphereShader.vertexShader,
+                    fragmentShader: atmosphereShader.fragmentShader,
+                    side: THREE.BackSide,
+                    blending: THREE.AdditiveBlending,
+                    transparent: true,
+                    depthWrite: false,
+                })
+            );
+            applyShading(Atmosphere.material.uniforms, shadingRef.current);
+            Globe.add(Atmosphere);
+            atmosphereRef.current = Atmosphere;
+
+            // Creates the clouds mesh with its first texture, or crossfades to a new texture
+            const showClouds = (cloudsTexture) => {
+                if (disposed) {
+                    cloudsTexture.dispose();
+                    return;
+                }
+                requestRender(); // The fade-in and crossfade keep the loop running until they are done
+
+                if (cloudsRef.current) {
+                    const {uniforms} = cloudsRef.current.material;
+                    if (uniforms.previousCloudsTexture.value !== uniforms.cloudsTexture.value) {
+                        uniforms.previousCloudsTexture.value.dispose();
+                    }
+                    uniforms.previousCloudsTexture.value = uniforms.cloudsTexture.value;
+                    uniforms.cloudsTexture.value = cloudsTexture;
+                    uniforms.uCrossfade.value = 0;
+                    return;
+                }
+
                 // Create Clouds Mesh
                 const Clouds = new THREE.Mesh(
-                    new THREE.SphereGeometry(Globe.getGlobeRadius() * (1 + CLOUDS_ALT), 75, 75)
+                    createCloudsGeometry(QUALITY_LEVELS[frameMonitor.level].cloudSegments)
                 );
 
                 // This rotates the clouds -90 degrees around the Y-axis to match the globe.
@@ -285,7 +959,9 @@ export default function DayNightGlobe() {
                 Clouds.material = new THREE.ShaderMaterial({
                     uniforms: {
                         cloudsTexture: {value: cloudsTexture},
-                        cloudHeightScale: {value: CLOUD_HEIGHT_SCALE},
+                        previousCloudsTexture: {value: cloudsTexture},
+                        uCrossfade: {value: 1.0},
+                        cloudHeightScale: {value: cloudSettings.heightScale},
                         uOpacity: {value: 0.0}, // Pass opacity to the shader, start at 0 for fade-in
                         sunPosition: material.uniforms.sunPosition, // Share uniform from main globe
                         globeRotation: material.uniforms.globeRotation // Share uniform from main globe
@@ -298,148 +974,345 @@ export default function DayNightGlobe() {
 
                 Globe.add(Clouds);
                 cloudsRef.current = Clouds; // Store reference for animation
-            });
-
-
-            async function loadPins(scaleFactor = 1) {
-                const loader = new GLTFLoader();
-
-                // 1. Load the model a single time outside the loop
-                const gltf = await loader.loadAsync('assets/worldGlobe/pin.glb');
-                const pinTemplate = gltf.scene;
-
-                // 2. Loop through markers and clone the loaded model
-                markers.forEach(marker => {
-                    // Create a clone for each marker
-                    const pin = pinTemplate.clone();
-
-                    // Get the coordinates object from the three-globe library
-                    const positionObj = globeRef.current.getCoords(marker.lat, marker.lng, 0);
+            };
+
+            // Loads the cloud map, skipping it if it has not changed. If it cannot be loaded and
+            // no clouds are shown yet, the bundled image is shown instead.
+            let cloudsCapturedAt = null;
+            const loadClouds = async () => {
+                const loader = new THREE.TextureLoader();
+                try {
+                    const {objectUrl, capturedAt} = await fetchCloudImage(CLOUDS.url);
+                    try {
+                        if (cloudsRef.current && capturedAt && capturedAt === cloudsCapturedAt) return;
+                        showClouds(await loader.loadAsync(objectUrl));
+                    } finally {
+                        URL.revokeObjectURL(objectUrl);
+                    }
+                    cloudsCapturedAt = capturedAt;
+                    setCloudsInfo({capturedAt, fallback: false});
+                } catch (error) {
+                    console.warn('Cloud imagery could not be loaded:', error);
+                    if (cloudsRef.current) return;
+
+                    // Without network the bundled image may be unavailable as well; the next refresh tries again
+                    try {
+                        showClouds(await loader.loadAsync(settingsRef.current.textureUrls.clouds));
+                        setCloudsInfo({capturedAt: null, fallback: true});
+                    } catch (fallbackError) {
+                        console.error('Failed to load the fallback clouds:', fallbackError);
+                    }
+                }
+            };
 
-                    // Set the position of the pin
-                    pin.position.set(positionObj.x, positionObj.y, positionObj.z);
+            loadClouds();
+            cloudsIntervalId = setInterval(() => {
+                if (!document.hidden) loadClouds();
+            }, CLOUDS.refreshMinutes * 60 * 1000);
 
-                    // Align the pin to be perpendicular to the globe's surface
-                    const up = pin.position.clone().normalize();
-                    const target = new THREE.Vector3(0, 1, 0); // Assuming pin model's "up" is Y-axis
-                    const quaternion = new THREE.Quaternion().setFromUnitVectors(target, up);
-                    pin.quaternion.copy(quaternion);
+            let lastRenderedSecond = -1;
+            let lastDisplayUpdate = 0;
+            let sunLng = 0;
 
-                    // Set scale
-                    pin.scale.set(2 * scaleFactor, 2 * scaleFactor, 2 * scaleFactor);
+            let routesAnimated = true;
+            let ready = false; // Set after the first frame, for the onReady callback
 
-                    // Add the cloned pin to the globe
-                    globeRef.current.add(pin);
-                });
-            }
+            // Draws one frame and requests the next one while anything is moving
+            renderFrame = (timestamp) => {
+                frameId = null;
+                const onDemand = renderingRef.current === 'onDemand';
 
-            let lastRenderedMinute = -1;
+                // The travelling dashes of the routes would need a frame every time, so they stand still on demand
+                if (routesAnimated === onDemand) {
+                    routesAnimated = !onDemand;
+                    Globe.arcDashAnimateTime(routesAnimated ? ARC_DASH_ANIMATE_TIME : 0);
+                }
 
-            // Start animation loop first
-            function animate() {
-                const now = DateTime.utc();
-                const currentMinute = now.minute;
+                const now = getTimelineTime(timelineRef.current); // Real UTC time, or the scrubber's simulated time
+                const currentSecond = Math.floor(now.toSeconds());
 
-                // Only update sun position and marker if the minute has changed
-                if (currentMinute !== lastRenderedMinute) {
-                    const [lng, lat, currentTime] = sunPosAt(now); // Get sun position based on current real UTC time
+                // Only update sun position and marker if the second has changed
+                if (currentSecond !== lastRenderedSecond) {
+                    const [lng, lat] = sunPosAt(now);
                     material.uniforms.sunPosition.value.set(lng, lat);
+                    sunLng = lng;
 
-                    // Also update clouds' lighting only once per minute
+                    // Also update clouds' lighting only once per second
                     if (cloudsRef.current) {
                         cloudsRef.current.material.uniforms.sunPosition.value.set(lng, lat);
                     }
 
-                    const sunMarker = markers.find(m => m.id === 'sun');
-                    if (sunMarker) {
-                        sunMarker.lng = lng;
-                        sunMarker.lat = lat;
+                    // The moon moves about half a degree per minute relative to the ground
+                    const moon = getSublunarPoint(now);
+                    const {x, y, z} = Globe.getCoords(moon.latitude, moon.longitude, MOON_ALT);
+                    moonLabel.position.set(x, y, z);
+                    // Shown as seen from the hemisphere the moon is over
+                    moonElement.textContent = getMoonPhase(now, moon.latitude).icon;
+
+                    // Update the displayed time at most four times per second, even when playing fast
+                    if (performance.now() - lastDisplayUpdate >= 250) {
+                        setDisplayTime(now);
+                        lastDisplayUpdate = performance.now();
                     }
-                    Globe.pointsData(markers); // Update marker data
-                    setUtcTime(currentTime); // Update displayed UTC time
 
-                    lastRenderedMinute = currentMinute; // Store the current minute
+                    lastRenderedSecond = currentSecond; // Store the current second
                 }
 
-                controls.update(); // Always update controls for smooth rotation
+                updateCamera(sunLng);
+                controls.update(); // Applies the damping; requests another frame while the globe is still turning
                 const camGeo = Globe.toGeoCoords(camera.position);
                 material.uniforms.globeRotation.value.set(camGeo.lng, camGeo.lat);
 
                 // Clouds fade in
                 if (cloudsRef.current) {
                     // Fade-in animation
-                    if (cloudsRef.current.material.uniforms.uOpacity.value < CLOUDS_OPACITY) {
-                        cloudsRef.current.material.uniforms.uOpacity.value += 0.01;
+                    const {uOpacity} = cloudsRef.current.material.uniforms;
+                    if (uOpacity.value < cloudSettings.opacity) {
+                        uOpacity.value = Math.min(cloudSettings.opacity, uOpacity.value + 0.01);
                     }
+                    // Crossfade to a refreshed image
+                    const {uCrossfade} = cloudsRef.current.material.uniforms;
+                    uCrossfade.value = Math.min(1, uCrossfade.value + 0.005);
                 }
 
-                renderer.render(scene, camera); // Always render
-                requestAnimationFrame(animate);
-            }
+                // Hide labels and the popover behind the globe
+                [...labels, ...arcLabelsRef.current].forEach(label => {
+                    label.visible = isFacingCamera(label);
+                });
+                popoverAnchor.visible = Boolean(popoverAnchor.userData.locationName) && isFacingCamera(popoverAnchor);
+                moonLabel.visible = isFacingCamera(moonLabel);
+
+                renderer.render(scene, camera);
+                labelRenderer.render(scene, camera);
+
+                const level = frameMonitor.recordFrame(timestamp);
+                if (level !== null) applyQuality(level);
+
+                const clouds = cloudsRef.current && cloudsRef.current.material.uniforms;
+                const animating = !onDemand
+                    || flight
+                    || cameraModeRef.current !== 'manual'
+                    || timelineRef.current.playing
+                    || (clouds && (clouds.uOpacity.value < cloudSettings.opacity || clouds.uCrossfade.value < 1));
+                if (animating) requestRender();
+
+                if (!ready) {
+                    ready = true;
+                    const {onReady} = settingsRef.current;
+                    if (onReady) onReady();
+                }
+            };
 
             // Start animation
-            animate();
-            // Load pins after animation has started
-            loadPins(1.5);
+            requestRender();
+            // The sun moves by a quarter of a degree per minute, so on demand it is redrawn once a minute
+            sunIntervalId = setInterval(requestRender, 60 * 1000);
+            // Load pins after animation has started, and any textures that were changed while loading
+            setTextures(settingsRef.current.textureUrls);
         }).catch(error => {
             console.error("Failed to load textures:", error);
+            setFallback('textures');
         });
 
+        // Subsolar point from the NOAA solar position algorithm (includes the equation of time)
         const sunPosAt = (time) => {
-            const LONGITUDE_OFFSET_HOURS = 0;
+            const {latitude, longitude} = getSubsolarPoint(time);
+            return [longitude, latitude];
+        };
+
+        // Follows the size of the container, which also changes with the window
+        const handleResize = () => {
+            const width = mount.clientWidth;
+            const height = mount.clientHeight;
+            if (!width || !height) return; // Hidden container
+
+            renderer.setSize(width, height);
+            labelRenderer.setSize(width, height);
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+            requestRender();
+        };
+        const resizeObserver = new ResizeObserver(handleResize);
+        resizeObserver.observe(mount);
+
+        // Prop changes, applied by the effects below
+        sceneRef.current = {
+            setMarkers,
+            setTextures,
+            setClouds,
+            setControlLimits: (limits) => {
+                Object.assign(controls, limits);
+                controls.update(); // Moves the camera into the new distance limits
+                requestRender();
+            },
+            setView: (view) => {
+                const key = `${view.lat},${view.lng},${view.altitude}`;
+                if (key === viewKey) return;
+                viewKey = key;
+                flyTo(view.lat, view.lng, view.altitude);
+                lastInteraction = performance.now(); // Stay there for a while
+            },
+            setPinScale: (scale) => {
+                pins.forEach(pin => pin.scale.setScalar(2 * scale));
+                requestRender();
+            },
+        };
+
+        return () => {
+            disposed = true;
+            cancelAnimationFrame(frameId);
+            requestRenderRef.current = () => {};
+            sceneRef.current = null;
+            mount.removeChild(renderer.domElement);
+            mount.removeChild(labelRenderer.domElement);
+            renderer.domElement.removeEventListener('pointermove', handlePointerMove);
+            renderer.domElement.removeEventListener('pointerdown', handlePointerDown);
+            renderer.domElement.removeEventListener('pointerup', handlePointerUp);
+            renderer.domElement.removeEventListener('webglcontextlost', handleContextLost);
+            renderer.domElement.removeEventListener('webglcontextrestored', handleContextRestored);
+            controls.removeEventListener('start', handleControlsStart);
+            controls.removeEventListener('change', requestRender);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            clearInterval(cloudsIntervalId);
+            clearInterval(sunIntervalId);
+            window.removeEventListener('hashchange', focusFromHash);
+            // Stops the animations of three-globe and empties its layers; disposeScene frees what is left
+            Globe.pauseAnimation().pointsData([]).arcsData([]).hexBinPointsData([]);
+            disposeScene(scene);
+            if (pinTemplate) disposeScene(pinTemplate);
+            materialRef.current = null;
+            cloudsRef.current = null;
+            atmosphereRef.current = null;
+            renderer.dispose();
+            controls.dispose();
+            resizeObserver.disconnect();
+        };
+    }, []); // Empty dependency array ensures this effect runs only once on mount
+
+    // The shading props are applied to the running materials
+    useEffect(() => {
+        if (materialRef.current) applyShading(materialRef.current.uniforms, shading);
+        if (atmosphereRef.current) applyShading(atmosphereRef.current.material.uniforms, shading);
+        requestRenderRef.current();
+    }, [atmosphereColor, atmosphereIntensity, twilightColor, twilightIntensity, specularIntensity, cityLightsIntensity]);
 
-            // Apply the custom offset to the UTC time for calculation
-            // Negate the hours to reverse the direction of sun's movement
-            const adjustedTime = time.plus({hours: LONGITUDE_OFFSET_HOURS});
-            const hours = adjustedTime.hour + adjustedTime.minute / 60; // Get hours and minutes from the adjusted DateTime object
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setMarkers(markers);
+    }, [markersKey]);
 
-            // Invert the hours for longitude calculation to reverse the direction of movement
-            let longitude = ((-hours) / 24) * 360 - 180;
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setTextures(textureUrls);
+    }, [textureUrls.day, textureUrls.night, textureUrls.height, textureUrls.pin]);
 
-            if (longitude < -180) longitude += 360; // Ensure longitude is within -180 to 180 range
-            if (longitude > 180) longitude -= 360; // Ensure longitude is within -180 to 180 range (handle wrap-around for positive values)
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setClouds(cloudSettings);
+    }, [cloudSettings.altitude, cloudSettings.heightScale, cloudSettings.opacity]);
 
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setControlLimits(limits);
+    }, [limits.minDistance, limits.maxDistance, limits.zoomSpeed, limits.enableZoom]);
 
-            // Calculate day of the year for solar declination
-            const dayOfYear = adjustedTime.ordinal; // Luxon's ordinal property gives the day of the year (1-366)
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setView(view);
+    }, [view.lat, view.lng, view.altitude]);
 
-            // Solar declination formula (approximate)
-            // delta = 23.45 * sin(360/365 * (N - 81))
-            // N is the day of the year (1 for Jan 1st)
-            const latitude = 23.45 * Math.sin(THREE.MathUtils.degToRad(360 / 365 * (dayOfYear - 81)));
+    useEffect(() => {
+        if (sceneRef.current) sceneRef.current.setPinScale(pinScale);
+    }, [pinScale]);
 
-            console.log(`Sun @ ${time.toFormat('yyyy-MM-dd HH:mm:ss')} UTC | Day ${dayOfYear} | Lon ${longitude.toFixed(2)} | Lat ${latitude.toFixed(2)}`);
+    // Arc labels follow the preferred distance unit
+    useEffect(() => {
+        arcLabelsRef.current.forEach(({element, userData: {pair}}) => {
+            element.textContent = arcLabelText(pair, preferences);
+        });
+    }, [preferences]);
 
-            return [longitude, latitude, time.toFormat('HH:mm:ss UTC')];
-        };
+    // The flat map has no animation loop, so its time is advanced here
+    useEffect(() => {
+        if (!fallback) return;
 
-        const handleResize = () => {
-            if (typeof window !== 'undefined') {
-                const width = window.innerWidth;
-                const height = window.innerHeight;
-                renderer.setSize(width, height);
-                camera.aspect = width / height;
-                camera.updateProjectionMatrix();
-            }
-        };
+        const intervalId = setInterval(() => setDisplayTime(getTimelineTime(timelineRef.current)), 250);
+        return () => clearInterval(intervalId);
+    }, [fallback]);
 
-        if (typeof window !== 'undefined') {
-            window.addEventListener('resize', handleResize);
+    // Weather overlay of the preferences, reloaded periodically while shown
+    useEffect(() => {
+        const Globe = globeRef.current;
+        if (!Globe) return; // No WebGL; the flat map has no overlays
+        if (preferences.weatherOverlay === 'off') {
+            Globe.hexBinPointsData([]);
+            setOverlayData(null);
+            requestRenderRef.current();
+            return;
         }
 
+        const OVERLAY_SAMPLE_STEP = 4; // Degrees between the sample points, dense enough to fill every hexagon
+        const {field, stops} = OVERLAY_SCALES[preferences.weatherOverlay];
+        const binColor = (bin) => colorForValue(stops, bin.sumWeight / bin.points.length);
+        let cancelled = false;
+
+        const loadOverlay = () => getWeatherGrid().then(grid => {
+            if (cancelled) return;
+            Globe.hexTopColor(binColor).hexSideColor(binColor).hexBinPointsData(sampleGrid(grid, field, OVERLAY_SAMPLE_STEP));
+            requestRenderRef.current();
+            setOverlayData({grid, error: null});
+        }).catch(error => {
+            console.error('Failed to load the weather overlay:', error);
+            if (!cancelled) setOverlayData(data => ({grid: data ? data.grid : null, error}));
+        });
+
+        loadOverlay();
+        const intervalId = setInterval(loadOverlay, WEATHER_OVERLAYS.refreshMinutes * 60 * 1000);
         return () => {
-            if (mountRef.current && renderer.domElement) {
-                mountRef.current.removeChild(renderer.domElement);
-            }
-            renderer.dispose();
-            controls.dispose();
-            if (typeof window !== 'undefined') {
-                window.removeEventListener('resize', handleResize);
-            }
+            cancelled = true;
+            clearInterval(intervalId);
         };
-    }, []); // Empty dependency array ensures this effect runs only once on mount
+    }, [preferences.weatherOverlay]);
 
     return (
-        <div ref={mountRef} style={{width: '100vw', height: '100vh', overflow: 'hidden'}}></div>
+        <div style={{position: 'relative', width: '100%', height: '100%', overflow: 'hidden'}}>
+            <div ref={mountRef} style={{width: '100%', height: '100%'}}></div>
+            {fallback && (
+                <FlatWorldMap
+                    time={displayTime}
+                    locations={markers}
+                    dayImage={textureUrls.day}
+                    nightImage={textureUrls.night}
+                    message={translate(preferences.language, `globe.${fallback}`)}
+                />
+            )}
+            {popoverElement && selectedLocation && createPortal(
+                <PinPopover
+                    location={markers.find(loc => loc.name === selectedLocation)}
+                    time={displayTime}
+                    preferences={preferences}
+                    onClose={() => selectPinRef.current(null)}
+                />,
+                popoverElement
+            )}
+            <TimeScrubber timeline={timeline} time={displayTime} preferences={preferences}/>
+            {preferences.weatherOverlay !== 'off' && !fallback && (
+                <OverlayLegend
+                    overlay={preferences.weatherOverlay}
+                    grid={overlayData && overlayData.grid}
+                    error={overlayData && overlayData.error}
+                    preferences={preferences}
+                />
+            )}
+            {cloudsInfo && (
+                <div
+                    title={cloudsInfo.capturedAt ? DateTime.fromMillis(cloudsInfo.capturedAt, {zone: 'utc'}).toFormat("yyyy-MM-dd HH:mm 'UTC'") : undefined}
+                    style={{position: 'absolute', top: '16px', right: '16px', color: '#fff', fontFamily: 'Arial, sans-serif', fontSize: '0.75rem', opacity: 0.7}}
+                >
+                    ☁️ {cloudsInfo.fallback
+                        ? translate(preferences.language, 'clouds.fallback')
+                        : translate(preferences.language, 'clouds.captured', {
+                            time: cloudsInfo.capturedAt
+                                ? DateTime.fromMillis(cloudsInfo.capturedAt).toRelative({locale: preferences.language})
+                                : '?',
+                        })}
+                </div>
+            )}
+        </div>
     );
 }
\ No newline at end of file
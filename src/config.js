@@ -1,5 +1,125 @@
 // src/config.js
+
+/**
+ * All locations shown on the dashboard. The Clock rows, the time-difference text,
+ * the globe pins and the weather fetches are all rendered from this list, in this order.
+ *
+ * name        - Unique key, also used to look up weather data.
+ * label       - Display name in the Clock rows.
+ * countryFlag - Emoji flag shown next to the time.
+ * icon        - Optional emoji shown in front of the name in the page heading.
+ * timezone    - IANA timezone used for the local time.
+ * alerts      - Optional overrides of ALERT_RULES for this location; set a rule to false to disable it.
+ */
 export const LOCATIONS = [
-    { name: "Dresden", country:"Germany", countryFlag:"🇩🇪", latitude: 51.05, longitude: 13.73 },
-    { name: "Tambopata",country:"Peru", countryFlag:"🇵🇪", latitude: -12.86, longitude: -69.49 },
-];
\ No newline at end of file
+    {
+        name: "Tambopata",
+        label: "Tambopata, Peru",
+        country: "Peru",
+        countryFlag: "🇵🇪",
+        icon: "🌳",
+        timezone: "America/Lima",
+        latitude: -12.8617,
+        longitude: -69.4948,
+        // Rainforest: heavy showers are normal and frost does not happen
+        alerts: {
+            heat: { threshold: 38 },
+            heavyPrecipitation: { threshold: 20 },
+            frost: false
+        }
+    },
+    {
+        name: "Dresden",
+        label: "Dresden, Germany",
+        country: "Germany",
+        countryFlag: "🇩🇪",
+        icon: "🏠",
+        timezone: "Europe/Berlin",
+        latitude: 51.0504,
+        longitude: 13.7373
+    },
+];
+
+/**
+ * Separator in front of the location at `index` in headings and titles: "A & B", "A, B & C".
+ * @param {number} index - Position of the location in LOCATIONS.
+ * @param {number} [count] - Number of locations.
+ * @returns {string} The separator ("" for the first location).
+ */
+export const locationSeparator = (index, count = LOCATIONS.length) => {
+    if (index === 0) return "";
+    return index === count - 1 ? " & " : ", ";
+};
+
+// The page title, built from the location names, e.g. "Tambopata & Dresden".
+export const SITE_TITLE = LOCATIONS.map((loc, idx) => locationSeparator(idx) + loc.name).join("");
+
+/**
+ * Named events shown as countdowns above the Clock rows.
+ *
+ * label     - Text shown in the countdown line.
+ * icon      - Emoji shown in front of the label.
+ * date      - ISO date/time of the event, interpreted in `timezone`.
+ * timezone  - IANA timezone the date belongs to.
+ * recurring - Set to "yearly" for annual events like birthdays; they always count down to the next occurrence.
+ *
+ * Flights are given at their local departure time, so a countdown ends when the plane leaves.
+ */
+export const COUNTDOWN_EVENTS = [
+    { label: "Flight to Lima", icon: "🛫", date: "2026-12-12T10:35:00", timezone: "Europe/Berlin" },
+    { label: "Flight back home", icon: "🛬", date: "2027-01-09T19:20:00", timezone: "America/Lima" },
+    { label: "Birthday", icon: "🎂", date: "1994-03-07T00:00:00", timezone: "Europe/Berlin", recurring: "yearly" },
+];
+
+/**
+ * Severe weather alerts, checked against the hourly forecast of every location.
+ * Alerts are shown as a banner above the Clock rows and, if enabled in the preferences, as browser notifications.
+ *
+ * hours     - How many hours ahead to look.
+ * threshold - heat: apparent temperature in °C (at least), frost: temperature in °C (at most),
+ *             heavyPrecipitation: precipitation in mm per hour (at least).
+ * codes     - WMO weather codes that trigger the alert; `severeCodes` mark it as severe (e.g. thunderstorm with hail).
+ */
+export const ALERT_RULES = {
+    heat: { hours: 24, threshold: 35 },
+    frost: { hours: 24, threshold: 0 },
+    heavyPrecipitation: { hours: 12, threshold: 10, codes: [65, 67, 75, 82, 86] },
+    storm: { hours: 12, codes: [95, 96, 99], severeCodes: [96, 99] },
+};
+
+/**
+ * The cloud layer on the globe.
+ *
+ * url            - Equirectangular cloud map; a mirror or a local file (relative to the page) works as well.
+ *                  Can be overridden with the PUBLIC_CLOUDS_URL environment variable.
+ * fallbackUrl    - Bundled image shown if the cloud map cannot be loaded.
+ * refreshMinutes - How often to check for a new image. The live maps are updated every few hours.
+ */
+export const CLOUDS = {
+    url: import.meta.env?.PUBLIC_CLOUDS_URL || "https://clouds.matteason.co.uk/images/4096x2048/clouds.jpg",
+    fallbackUrl: "assets/worldGlobe/clouds.png",
+    refreshMinutes: 30,
+};
+
+/**
+ * The weather provider: "open-meteo" (default), "met-norway" or "mock".
+ * The mock provider serves bundled fixtures and needs no network, which is handy for offline development.
+ * Can be overridden with the PUBLIC_WEATHER_PROVIDER environment variable.
+ */
+export const WEATHER_PROVIDER = import.meta.env?.PUBLIC_WEATHER_PROVIDER || "open-meteo";
+
+/**
+ * The weather overlays on the globe (temperature, precipitation and wind), switched in the preferences menu.
+ *
+ * source         - "open-meteo" for the current conditions, or "fixture" for the bundled grid (no network needed).
+ *                  Defaults to the fixture when the mock weather provider is used. Can be overridden with the
+ *                  PUBLIC_OVERLAY_SOURCE environment variable.
+ * gridStep       - Spacing of the requested grid in degrees. Every grid point counts as one request against
+ *                  Open-Meteo's fair-use limit, so keep it coarse: 20° means 162 points.
+ * refreshMinutes - How long a loaded grid is kept (also across reloads) before it is requested again.
+ */
+export const WEATHER_OVERLAYS = {
+    source: import.meta.env?.PUBLIC_OVERLAY_SOURCE || (WEATHER_PROVIDER === "mock" ? "fixture" : "open-meteo"),
+    gridStep: 20,
+    refreshMinutes: 60,
+};
@@ -0,0 +1,73 @@
+// Standalone bundle of the <tambopata-dashboard> element, built into dist/embed.js by `npm run build:embed`.
+// It renders the embeddable dashboard (components/Embed.jsx) into the element's shadow root, without an iframe:
+//
+//   <script src="https://your-site.example/embed.js" defer></script>
+//   <tambopata-dashboard locations="Dresden" panels="clock,globe" units="imperial" theme="transparent"></tambopata-dashboard>
+//
+// The attributes are the options of the /embed query string (see utils/embedOptions.js); preferences are set with
+// their key in kebab case, e.g. language="de" or hour-cycle="12h". The element is 480px high unless it is styled
+// otherwise. The globe's textures are loaded from next to the script. The preferences are shared by the whole page,
+// so several dashboards on one page all use those of the element rendered last.
+import { createRoot } from 'react-dom/client';
+import Embed, { applyEmbedOptions } from '../components/Embed.jsx';
+import { setDocumentLanguageSync } from '../hooks/usePreferences.js';
+import { PREFERENCE_OPTIONS } from '../utils/preferences.js';
+
+// Only set while the script itself runs, so it is read when the bundle is loaded
+const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+
+const toKebabCase = (name) => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const ATTRIBUTES = ['locations', 'panels', 'theme', 'units', ...Object.keys(PREFERENCE_OPTIONS).map(toKebabCase)];
+
+class TambopataDashboard extends HTMLElement {
+    static get observedAttributes() {
+        return ATTRIBUTES;
+    }
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                :host { display: block; height: 480px; }
+                #dashboard { width: 100%; height: 100%; }
+            </style>
+            <div id="dashboard"></div>
+        `;
+        this.container = shadow.getElementById('dashboard');
+        this.root = null;
+    }
+
+    connectedCallback() {
+        this.render();
+    }
+
+    attributeChangedCallback() {
+        if (this.root) this.render();
+    }
+
+    disconnectedCallback() {
+        if (this.root) this.root.unmount();
+        this.root = null;
+    }
+
+    render() {
+        const params = new URLSearchParams();
+        ATTRIBUTES.forEach(name => {
+            if (this.hasAttribute(name)) params.set(toCamelCase(name), this.getAttribute(name));
+        });
+        const options = applyEmbedOptions(params.toString());
+
+        if (!this.root) this.root = createRoot(this.container);
+        // A new key mounts the dashboard again, so that the Clock and the globe read the changed preferences
+        this.root.render(<Embed key={params.toString()} options={options} assetBase={SCRIPT_URL}/>);
+    }
+}
+
+setDocumentLanguageSync(false);
+
+if (!customElements.get('tambopata-dashboard')) {
+    customElements.define('tambopata-dashboard', TambopataDashboard);
+}
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+    DEFAULT_PREFERENCES,
+    loadPreferences,
+    loadStoredPreferences,
+    PREFERENCES_CHANGE_EVENT,
+    reloadStoredPreferences,
+    savePreferences
+} from '../utils/preferences.js';
+
+// Whether the hook sets the language of the document. The standalone embed turns it off, as the page it is placed on
+// has a language of its own.
+let syncDocumentLanguage = true;
+
+/**
+ * Lets usePreferences set (or stop setting) the `lang` of the document to the preferred language.
+ * @param {boolean} enabled - False to leave the document's language alone.
+ */
+export const setDocumentLanguageSync = (enabled) => {
+    syncDocumentLanguage = enabled;
+};
+
+/**
+ * 🎛️ Shared Preferences Hook: Returns the current user preferences and a setter.
+ * All components using it stay in sync, across islands and browser tabs.
+ */
+const usePreferences = () => {
+    // Start with the defaults so that server and client render the same markup
+    const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+
+    useEffect(() => {
+        const handleChange = () => setPreferences(loadPreferences());
+        // Changes made in other tabs
+        const handleStorage = (event) => {
+            if (reloadStoredPreferences(event)) handleChange();
+        };
+
+        handleChange();
+        window.addEventListener(PREFERENCES_CHANGE_EVENT, handleChange);
+        window.addEventListener('storage', handleStorage);
+
+        return () => {
+            window.removeEventListener(PREFERENCES_CHANGE_EVENT, handleChange);
+            window.removeEventListener('storage', handleStorage);
+        };
+    }, []);
+
+    useEffect(() => {
+        if (syncDocumentLanguage) document.documentElement.lang = preferences.language;
+    }, [preferences.language]);
+
+    const updatePreference = useCallback((key, value) => {
+        savePreferences({ ...loadStoredPreferences(), [key]: value }); // Overrides of the page are not stored
+    }, []);
+
+    return [preferences, updatePreference];
+};
+
+export default usePreferences;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { getTimeline, TIMELINE_CHANGE_EVENT } from '../utils/timeline.js';
+
+/**
+ * ⏱️ Shared Timeline Hook: Returns the current time-travel timeline (see utils/timeline.js).
+ * All components using it stay in sync, across islands.
+ */
+const useTimeline = () => {
+    const [timeline, setTimeline] = useState(getTimeline);
+
+    useEffect(() => {
+        const handleChange = (event) => setTimeline(event.detail);
+
+        setTimeline(getTimeline());
+        window.addEventListener(TIMELINE_CHANGE_EVENT, handleChange);
+
+        return () => window.removeEventListener(TIMELINE_CHANGE_EVENT, handleChange);
+    }, []);
+
+    return timeline;
+};
+
+export default useTimeline;
@@ -0,0 +1,25 @@
+// Live cloud imagery for the globe, by default from the Live Cloud Maps project
+// (https://github.com/matteason/live-cloud-maps), which renders EUMETSAT satellite images every few hours.
+import {fetchWithTimeout} from '../utils/fetchWithRetry.js';
+
+/**
+ * Downloads a cloud map and reads when it was captured.
+ * The capture time is taken from the `Last-Modified` header, since the image itself carries no date.
+ * @param {string} url - URL of an equirectangular cloud map (absolute, or relative to the page).
+ * @param {{timeout?: number, fetchFn?: Function}} [options] - Timeout in milliseconds and the fetch implementation.
+ * @returns {Promise<{objectUrl: string, capturedAt: number|null}>} An object URL of the image (to be revoked by the
+ *          caller once loaded) and the capture time in epoch milliseconds, if known.
+ */
+export async function fetchCloudImage(url, {timeout = 30 * 1000, fetchFn} = {}) {
+    // Revalidate with the server, so a refresh picks up a new image instead of the browser's cached copy
+    const {blob, lastModified} = await fetchWithTimeout(url, {timeout, fetchFn, cache: 'no-cache'}, async res => ({
+        blob: await res.blob(),
+        lastModified: res.headers.get('Last-Modified'),
+    }));
+
+    const capturedAt = lastModified ? Date.parse(lastModified) : NaN;
+    return {
+        objectUrl: URL.createObjectURL(blob),
+        capturedAt: Number.isNaN(capturedAt) ? null : capturedAt,
+    };
+}
@@ -0,0 +1,120 @@
+// Gridded weather fields for the overlays on the globe: the current temperature, precipitation and wind on a
+// regular lat/lng grid, from Open-Meteo (one request for all grid points) or from the bundled fixture.
+import {WEATHER_OVERLAYS} from '../config.js';
+import {fetchJsonWithTimeout, retryWithBackoff} from '../utils/fetchWithRetry.js';
+import {createDefaultCache} from './weatherCache.js';
+
+const CACHE_KEY = 'weather-grid';
+
+/**
+ * @typedef {Object} WeatherGrid
+ * @property {string} source - Where the grid came from: "open-meteo" or "fixture".
+ * @property {string|null} time - Time of the conditions (ISO, UTC).
+ * @property {number[]} latitudes - Latitudes of the grid rows, ascending.
+ * @property {number[]} longitudes - Longitudes of the grid columns, ascending within [-180, 180).
+ * @property {Object<string, (number|null)[][]>} fields - `temperature` (°C), `precipitation` (mm in the last
+ *           15 minutes) and `wind` (km/h at 10 m), each indexed as [latitude index][longitude index].
+ */
+
+let backend = null; // Created on first use, so that importing this module has no side effects
+let pending = null; // The running request, shared by all callers
+
+/**
+ * Builds a global grid with the given spacing. The rows are centered between the poles, e.g. -80° to 80° for 20°.
+ * @param {number} step - Spacing in degrees.
+ * @returns {{latitudes: number[], longitudes: number[]}} The coordinates of the rows and columns.
+ */
+export function createGridCoordinates(step) {
+    const latitudes = [];
+    const longitudes = [];
+    for (let lat = -90 + step / 2; lat < 90; lat += step) latitudes.push(lat);
+    for (let lng = -180; lng < 180; lng += step) longitudes.push(lng);
+    return {latitudes, longitudes};
+}
+
+/**
+ * Converts an Open-Meteo multi-location response with `current` conditions into a WeatherGrid.
+ * Open-Meteo returns one entry per requested point, in the order requested, with the coordinates snapped to
+ * its model grid; the requested coordinates are therefore passed in.
+ * @param {object[]|object} response - The response (a single object if only one point was requested).
+ * @param {{latitudes: number[], longitudes: number[], source: string}} grid - The requested rows and columns,
+ *        requested latitude-major.
+ * @returns {WeatherGrid} The normalized grid.
+ */
+export function normalizeOpenMeteoGrid(response, {latitudes, longitudes, source}) {
+    const points = Array.isArray(response) ? response : [response];
+    const field = (key) => latitudes.map((_, row) => longitudes.map((_, column) => (
+        points[row * longitudes.length + column]?.current?.[key] ?? null
+    )));
+    const time = points[0]?.current?.time;
+
+    return {
+        source,
+        time: time ? `${time}Z` : null, // Requested without timezone, so the times are in GMT
+        latitudes,
+        longitudes,
+        fields: {
+            temperature: field('temperature_2m'),
+            precipitation: field('precipitation'),
+            wind: field('wind_speed_10m'),
+        },
+    };
+}
+
+/**
+ * Loads the weather grid from its source, without caching.
+ * @param {{source?: string, step?: number, timeout?: number, fetchFn?: Function}} [options] - The source and grid
+ *        spacing (defaults from WEATHER_OVERLAYS in config.js), the request timeout and the fetch implementation.
+ * @returns {Promise<WeatherGrid>} The grid.
+ */
+export async function fetchWeatherGrid({source = WEATHER_OVERLAYS.source, step = WEATHER_OVERLAYS.gridStep, timeout = 20 * 1000, fetchFn} = {}) {
+    if (source === 'fixture') {
+        // Loaded on demand, so the fixture is only downloaded when it is used
+        const {OPEN_METEO_GRID_FIXTURE} = await import('./providers/fixtures/index.js');
+        const distinct = (key) => [...new Set(OPEN_METEO_GRID_FIXTURE.map(point => point[key]))].sort((a, b) => a - b);
+        return normalizeOpenMeteoGrid(OPEN_METEO_GRID_FIXTURE, {latitudes: distinct('latitude'), longitudes: distinct('longitude'), source});
+    }
+
+    const {latitudes, longitudes} = createGridCoordinates(step);
+    const points = latitudes.flatMap(lat => longitudes.map(lng => [lat, lng]));
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${points.map(([lat]) => lat).join(',')}&longitude=${points.map(([, lng]) => lng).join(',')}&current=temperature_2m,precipitation,wind_speed_10m`;
+
+    const response = await retryWithBackoff(() => fetchJsonWithTimeout(url, {timeout, fetchFn}), {
+        onRetry: (error, attempt, delay) => console.warn(`Weather grid request failed (${error.message}), retry ${attempt} in ${Math.round(delay)} ms.`),
+    });
+    return normalizeOpenMeteoGrid(response, {latitudes, longitudes, source});
+}
+
+/**
+ * Returns the weather grid, from the cache if it is younger than `WEATHER_OVERLAYS.refreshMinutes`.
+ * Falls back to an outdated cached grid if the request fails.
+ * @returns {Promise<WeatherGrid>} The grid.
+ */
+export function getWeatherGrid() {
+    if (pending) return pending;
+
+    pending = (async () => {
+        backend = backend || createDefaultCache();
+        const signature = `${WEATHER_OVERLAYS.source}-${WEATHER_OVERLAYS.gridStep}`;
+        const entry = await backend.get(CACHE_KEY);
+        const cached = entry && entry.signature === signature ? entry : null;
+
+        if (cached && Date.now() - cached.timestamp < WEATHER_OVERLAYS.refreshMinutes * 60 * 1000) {
+            return cached.data;
+        }
+
+        try {
+            const data = await fetchWeatherGrid();
+            await backend.set(CACHE_KEY, {data, timestamp: Date.now(), signature});
+            return data;
+        } catch (error) {
+            if (!cached) throw error;
+            console.warn('Weather grid could not be refreshed, showing the cached one:', error);
+            return cached.data;
+        }
+    })().finally(() => {
+        pending = null;
+    });
+
+    return pending;
+}
@@ -0,0 +1,68 @@
+// Recorded Open-Meteo responses and fixed points in time for running the weather service deterministically,
+// together with setWeatherClock() and setWeatherFetch() from weatherService.js.
+// The Dresden forecast spans the end of daylight saving time in Europe/Berlin (2026-10-25, 03:00 CEST -> 02:00 CET).
+// The grid holds made-up current conditions on a 20° lat/lng grid for the globe overlays (see overlayService.js).
+import {DateTime} from 'luxon';
+import dresdenForecast from './open-meteo-dresden.json';
+import tambopataForecast from './open-meteo-tambopata.json';
+import errorResponse from './open-meteo-error.json';
+import gridResponse from './open-meteo-grid.json';
+
+// Open-Meteo responses by location name
+export const OPEN_METEO_FIXTURES = {
+    Dresden: dresdenForecast,
+    Tambopata: tambopataForecast,
+};
+
+// A multi-location response with the current conditions, in the order latitude-major from the south-west
+export const OPEN_METEO_GRID_FIXTURE = gridResponse;
+
+// A 400 response body, as returned by Open-Meteo for invalid parameters
+export const OPEN_METEO_ERROR = errorResponse;
+
+/**
+ * Points in time that exercise the edge cases of the hourly and daily lookups for the fixtures above.
+ * `now` returns a fresh DateTime, ready to be passed to setWeatherClock().
+ */
+export const FIXTURE_SCENARIOS = {
+    // The last hour before the clocks go back; 02:00-02:59 happens twice that night
+    beforeDstChange: {location: 'Dresden', now: () => DateTime.fromISO('2026-10-25T01:30:00', {zone: 'Europe/Berlin'})},
+    // The repeated 02:xx hour, now in CET
+    duringDstChange: {location: 'Dresden', now: () => DateTime.fromISO('2026-10-25T02:30:00+01:00', {setZone: true}).setZone('Europe/Berlin')},
+    // The first sunrise after the change, an hour earlier on the wall clock
+    afterDstChange: {location: 'Dresden', now: () => DateTime.fromISO('2026-10-25T06:00:00', {zone: 'Europe/Berlin'})},
+    // Just before and after midnight: the current hour, today's entry and the next sun event move to the next day
+    beforeMidnight: {location: 'Dresden', now: () => DateTime.fromISO('2026-10-23T23:59:30', {zone: 'Europe/Berlin'})},
+    afterMidnight: {location: 'Dresden', now: () => DateTime.fromISO('2026-10-24T00:00:30', {zone: 'Europe/Berlin'})},
+    // Within the last forecast hour: no further hours and no further sunrise in the data
+    lastForecastHour: {location: 'Tambopata', now: () => DateTime.fromISO('2026-10-28T23:15:00', {zone: 'America/Lima'})},
+    // After the end of the forecast: the service falls back to calculated sun times
+    afterForecast: {location: 'Tambopata', now: () => DateTime.fromISO('2026-10-29T08:00:00', {zone: 'America/Lima'})},
+};
+
+/**
+ * Creates a fetch replacement that answers Open-Meteo requests with the fixtures, matched by the
+ * requested coordinates. Listed locations fail with the given HTTP status (0 for a network error).
+ * @param {{fixtures?: Object<string, object>, failures?: Object<string, number>}} [options]
+ *        Open-Meteo responses by location name, and HTTP statuses for locations whose request should fail.
+ * @returns {Function} A function with the signature of `fetch` (only `ok`, `status` and `json()` are implemented).
+ */
+export function createFixtureFetch({fixtures = OPEN_METEO_FIXTURES, failures = {}} = {}) {
+    return async (url) => {
+        const params = new URL(url).searchParams;
+        const latitude = Number(params.get('latitude'));
+        const longitude = Number(params.get('longitude'));
+        const [name, fixture] = Object.entries(fixtures)
+            .find(([, response]) => Math.abs(response.latitude - latitude) < 0.01 && Math.abs(response.longitude - longitude) < 0.01) || [];
+
+        if (name in failures) {
+            const status = failures[name];
+            if (!status) throw new TypeError('fetch failed');
+            return {ok: false, status, json: async () => OPEN_METEO_ERROR};
+        }
+        if (!fixture) {
+            return {ok: false, status: 400, json: async () => OPEN_METEO_ERROR};
+        }
+        return {ok: true, status: 200, json: async () => fixture};
+    };
+}
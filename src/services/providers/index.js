@@ -0,0 +1,61 @@
+// Weather providers. Each provider fetches the forecast for a location and normalizes it into
+// the internal schema below, so weatherService.js never depends on a specific API format.
+import {metNorwayProvider} from './metNorwayProvider.js';
+import {openMeteoProvider} from './openMeteoProvider.js';
+
+/**
+ * @typedef {object} HourlyForecast
+ * @property {string} time - ISO time with offset, in the location's timezone.
+ * @property {number|null} temperature - Air temperature in °C.
+ * @property {number|null} apparentTemperature - Apparent ("feels like") temperature in °C.
+ * @property {number|null} weatherCode - WMO weather code.
+ * @property {number|null} precipitation - Precipitation of the hour in mm.
+ * @property {number|null} precipitationProbability - Precipitation probability in %.
+ */
+
+/**
+ * @typedef {object} DailyForecast
+ * @property {string} date - Local date ("yyyy-MM-dd").
+ * @property {string|null} sunrise - ISO time with offset, or null if not provided (or no sunrise that day).
+ * @property {string|null} sunset - ISO time with offset, or null if not provided (or no sunset that day).
+ * @property {number|null} precipitationProbabilityMax - Highest precipitation probability of the day in %.
+ */
+
+/**
+ * @typedef {object} NormalizedForecast
+ * @property {string} provider - Name of the provider.
+ * @property {string} timezone - IANA timezone of the location.
+ * @property {HourlyForecast[]} hourly - Hourly entries, sorted by time.
+ * @property {DailyForecast[]} daily - Daily entries, sorted by date.
+ */
+
+// The mock provider (see mockProvider.js) and its fixtures are only loaded once it is used,
+// so they stay out of the bundle unless WEATHER_PROVIDER is "mock"
+let mockProviderModule = null;
+const lazyMockProvider = {
+    name: 'mock',
+    async fetchForecast(location, options) {
+        if (!mockProviderModule) mockProviderModule = import('./mockProvider.js');
+        const {mockProvider} = await mockProviderModule;
+        return mockProvider.fetchForecast(location, options);
+    },
+};
+
+export const WEATHER_PROVIDERS = {
+    [openMeteoProvider.name]: openMeteoProvider,
+    [metNorwayProvider.name]: metNorwayProvider,
+    [lazyMockProvider.name]: lazyMockProvider,
+};
+
+/**
+ * Looks up a weather provider by name.
+ * @param {string} name - "open-meteo", "met-norway" or "mock".
+ * @returns {{name: string, fetchForecast: Function}} The provider; Open-Meteo for unknown names.
+ */
+export function getWeatherProvider(name) {
+    if (!WEATHER_PROVIDERS[name]) {
+        console.warn(`Unknown weather provider "${name}", using Open-Meteo.`);
+        return openMeteoProvider;
+    }
+    return WEATHER_PROVIDERS[name];
+}
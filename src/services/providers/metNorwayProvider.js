@@ -0,0 +1,101 @@
+import {DateTime} from 'luxon';
+import {fetchJsonWithTimeout} from '../../utils/fetchWithRetry.js';
+
+// MET Norway symbol codes (without the _day/_night/_polartwilight suffix) mapped to WMO weather codes.
+const SYMBOL_TO_WMO = {
+    clearsky: 0,
+    fair: 1,
+    partlycloudy: 2,
+    cloudy: 3,
+    fog: 45,
+    lightrain: 61,
+    rain: 63,
+    heavyrain: 65,
+    lightsleet: 66,
+    sleet: 67,
+    heavysleet: 67,
+    lightsnow: 71,
+    snow: 73,
+    heavysnow: 75,
+    lightrainshowers: 80,
+    rainshowers: 81,
+    heavyrainshowers: 82,
+    lightsleetshowers: 80,
+    sleetshowers: 81,
+    heavysleetshowers: 82,
+    lightsnowshowers: 85,
+    snowshowers: 85,
+    heavysnowshowers: 86,
+};
+
+/**
+ * Converts a MET Norway symbol code like "lightrainshowers_day" into a WMO weather code.
+ * @param {string|undefined} symbolCode - The symbol code.
+ * @returns {number|null} The WMO code, or null if unknown.
+ */
+function symbolToWeatherCode(symbolCode) {
+    if (!symbolCode) return null;
+    const symbol = symbolCode.split('_')[0];
+    if (symbol.includes('thunder')) return 95;
+    return SYMBOL_TO_WMO[symbol] ?? null;
+}
+
+/**
+ * Converts a MET Norway Locationforecast 2.0 response into the internal schema (see providers/index.js).
+ * The API returns UTC times without a timezone and no sunrise/sunset, so the location's configured
+ * timezone is used and the sun times are left to the local calculation.
+ * @param {object} response - The response of the /locationforecast/2.0/compact endpoint.
+ * @param {{timezone: string}} location - The location from config.js.
+ * @returns {import('./index.js').NormalizedForecast} The normalized forecast.
+ */
+export function normalizeMetNorway(response, location) {
+    const zone = location.timezone;
+
+    const hourly = (response.properties?.timeseries || []).map(entry => {
+        // The first ~2.5 days are hourly, later entries only have 6-hour summaries
+        const period = entry.data.next_1_hours || entry.data.next_6_hours || {};
+        return {
+            time: DateTime.fromISO(entry.time, {zone: 'utc'}).setZone(zone).toISO(),
+            temperature: entry.data.instant?.details?.air_temperature ?? null,
+            apparentTemperature: null,
+            weatherCode: symbolToWeatherCode(period.summary?.symbol_code),
+            precipitation: period.details?.precipitation_amount ?? null,
+            precipitationProbability: period.details?.probability_of_precipitation ?? null,
+        };
+    });
+
+    const dates = [...new Set(hourly.map(hour => hour.time.slice(0, 10)))];
+    const daily = dates.map(date => {
+        const probabilities = hourly
+            .filter(hour => hour.time.startsWith(date) && hour.precipitationProbability !== null)
+            .map(hour => hour.precipitationProbability);
+        return {
+            date,
+            sunrise: null,
+            sunset: null,
+            precipitationProbabilityMax: probabilities.length ? Math.max(...probabilities) : null,
+        };
+    });
+
+    return {provider: 'met-norway', timezone: zone, hourly, daily};
+}
+
+/**
+ * Weather provider for the MET Norway Locationforecast API (https://api.met.no/).
+ */
+export const metNorwayProvider = {
+    name: 'met-norway',
+
+    /**
+     * @param {{latitude: number, longitude: number, timezone: string}} location - A location from config.js.
+     * @param {{timeout?: number, fetchFn?: Function}} [options] - Request timeout and fetch implementation.
+     * @returns {Promise<import('./index.js').NormalizedForecast>}
+     */
+    async fetchForecast(location, options) {
+        // MET Norway asks for at most four decimals
+        const lat = location.latitude.toFixed(4);
+        const lon = location.longitude.toFixed(4);
+        const url = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${lat}&lon=${lon}`;
+        return normalizeMetNorway(await fetchJsonWithTimeout(url, options), location);
+    },
+};
@@ -0,0 +1,62 @@
+import {DateTime} from 'luxon';
+import {normalizeOpenMeteo} from './openMeteoProvider.js';
+import {OPEN_METEO_FIXTURES} from './fixtures/index.js';
+
+/**
+ * Moves all dates of an Open-Meteo response by whole days, keeping the local times of day.
+ * @param {object} response - An Open-Meteo response.
+ * @param {number} days - How many days to move.
+ * @returns {object} A shifted copy of the response.
+ */
+function shiftOpenMeteoResponse(response, days) {
+    const zone = response.timezone;
+    const shift = (time) => time ? DateTime.fromISO(time, {zone}).plus({days}).toFormat(time.length > 10 ? "yyyy-MM-dd'T'HH:mm" : 'yyyy-MM-dd') : time;
+    const shiftAll = (times) => times ? times.map(shift) : times;
+
+    return {
+        ...response,
+        hourly: {...response.hourly, time: shiftAll(response.hourly.time)},
+        daily: {
+            ...response.daily,
+            time: shiftAll(response.daily.time),
+            sunrise: shiftAll(response.daily.sunrise),
+            sunset: shiftAll(response.daily.sunset),
+        },
+    };
+}
+
+/**
+ * Creates a provider that serves recorded fixtures instead of calling an API,
+ * for developing and testing the dashboard offline.
+ * @param {{fixtures?: Object<string, object>, shiftToToday?: boolean, delay?: number}} [options]
+ *        Open-Meteo responses by location name, whether to move them to the current date, and an artificial delay in ms.
+ * @returns {{name: string, fetchForecast: Function}} The provider.
+ */
+export function createMockProvider({fixtures = OPEN_METEO_FIXTURES, shiftToToday = true, delay = 0} = {}) {
+    return {
+        name: 'mock',
+
+        /**
+         * @param {{name: string}} location - A location from config.js; other locations reuse the first fixture.
+         * @param {{now?: DateTime}} [options] - The current time, to move the fixture to.
+         * @returns {Promise<import('./index.js').NormalizedForecast>}
+         */
+        async fetchForecast(location, {now = DateTime.now()} = {}) {
+            if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+            const fixture = fixtures[location.name] || Object.values(fixtures)[0];
+            if (!fixture) throw new Error(`No fixture for "${location.name}".`);
+
+            if (!shiftToToday) return normalizeOpenMeteo(fixture);
+
+            // Move the recorded days so that the first one is today in the location's timezone
+            const firstDay = DateTime.fromISO(fixture.daily.time[0], {zone: fixture.timezone});
+            const today = now.setZone(fixture.timezone).startOf('day');
+            const days = Math.round(today.diff(firstDay, 'days').days);
+
+            return normalizeOpenMeteo(shiftOpenMeteoResponse(fixture, days));
+        },
+    };
+}
+
+export const mockProvider = createMockProvider();
@@ -0,0 +1,50 @@
+import {DateTime} from 'luxon';
+import {fetchJsonWithTimeout} from '../../utils/fetchWithRetry.js';
+
+/**
+ * Converts an Open-Meteo forecast response into the internal schema (see providers/index.js).
+ * Open-Meteo returns local times without offset, column-wise per variable.
+ * @param {object} response - The response of the /v1/forecast endpoint with `timezone=auto`.
+ * @returns {import('./index.js').NormalizedForecast} The normalized forecast.
+ */
+export function normalizeOpenMeteo(response) {
+    const zone = response.timezone;
+    const toISO = (time) => time ? DateTime.fromISO(time, {zone}).toISO() : null;
+    const {hourly = {}, daily = {}} = response;
+
+    return {
+        provider: 'open-meteo',
+        timezone: zone,
+        hourly: (hourly.time || []).map((time, idx) => ({
+            time: toISO(time),
+            temperature: hourly.temperature_2m?.[idx] ?? null,
+            apparentTemperature: hourly.apparent_temperature?.[idx] ?? null,
+            weatherCode: hourly.weathercode?.[idx] ?? null,
+            precipitation: hourly.precipitation?.[idx] ?? null,
+            precipitationProbability: hourly.precipitation_probability?.[idx] ?? null,
+        })),
+        daily: (daily.time || []).map((date, idx) => ({
+            date,
+            sunrise: toISO(daily.sunrise?.[idx]),
+            sunset: toISO(daily.sunset?.[idx]),
+            precipitationProbabilityMax: daily.precipitation_probability_max?.[idx] ?? null,
+        })),
+    };
+}
+
+/**
+ * Weather provider for the Open-Meteo forecast API (https://open-meteo.com/).
+ */
+export const openMeteoProvider = {
+    name: 'open-meteo',
+
+    /**
+     * @param {{latitude: number, longitude: number}} location - A location from config.js.
+     * @param {{timeout?: number, fetchFn?: Function}} [options] - Request timeout and fetch implementation.
+     * @returns {Promise<import('./index.js').NormalizedForecast>}
+     */
+    async fetchForecast(location, options) {
+        const url = `https://api.open-meteo.com/v1/forecast?latitude=${location.latitude}&longitude=${location.longitude}&daily=sunrise,sunset,precipitation_probability_max&hourly=temperature_2m,apparent_temperature,weathercode,precipitation,precipitation_probability&timezone=auto&forecast_days=7`;
+        return normalizeOpenMeteo(await fetchJsonWithTimeout(url, options));
+    },
+};
@@ -0,0 +1,167 @@
+// Pluggable storage backends for the weather cache in weatherService.js.
+// Every backend stores a single entry `{data, timestamp}` per key and implements
+// `async get(key)` (resolving to the entry or null) and `async set(key, entry)`.
+
+/**
+ * Keeps the entries in memory only. They are lost on every page load.
+ * @returns {{name: string, get: Function, set: Function}} The cache backend.
+ */
+export function createMemoryCache() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async set(key, entry) {
+            entries.set(key, entry);
+        },
+    };
+}
+
+/**
+ * Persists the entries in the browser's localStorage, so the last data survives reloads and offline periods.
+ * @param {string} [prefix] - Prefix for the localStorage keys.
+ * @returns {{name: string, get: Function, set: Function}} The cache backend.
+ */
+export function createLocalStorageCache(prefix = 'tambopata.cache.') {
+    return {
+        name: 'localStorage',
+        async get(key) {
+            try {
+                return JSON.parse(window.localStorage.getItem(prefix + key));
+            } catch (error) {
+                console.warn('Cached weather data could not be read:', error);
+                return null;
+            }
+        },
+        async set(key, entry) {
+            try {
+                window.localStorage.setItem(prefix + key, JSON.stringify(entry));
+            } catch (error) {
+                // E.g. quota exceeded or storage disabled; the data is simply not persisted
+                console.warn('Weather data could not be cached:', error);
+            }
+        },
+    };
+}
+
+/**
+ * Persists the entries in the browser's IndexedDB, which is not limited to a few megabytes like localStorage
+ * and does not block the page while reading or writing. Every failing operation (private mode, quota, a blocked
+ * or deleted database) is caught, so the data is then simply not restored or not persisted.
+ * @param {string} [databaseName] - Name of the IndexedDB database.
+ * @param {IDBFactory} [factory] - The IndexedDB implementation, `indexedDB` of the page by default.
+ * @returns {{name: string, get: Function, set: Function}} The cache backend.
+ */
+export function createIndexedDbCache(databaseName = 'tambopata', factory = globalThis.indexedDB) {
+    const storeName = 'cache';
+    let database = null;
+
+    // Opens the database once; a failed attempt is retried by the next operation
+    const openDatabase = () => {
+        database ??= new Promise((resolve, reject) => {
+            const request = factory.open(databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB "${databaseName}" is blocked by another tab`));
+        }).catch(error => {
+            database = null;
+            throw error;
+        });
+        return database;
+    };
+
+    // Runs a single request in its own transaction and resolves once the transaction is complete
+    const runRequest = async (mode, createRequest) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    };
+
+    return {
+        name: 'indexedDB',
+        async get(key) {
+            try {
+                return (await runRequest('readonly', store => store.get(key))) ?? null;
+            } catch (error) {
+                console.warn('Cached weather data could not be read:', error);
+                return null;
+            }
+        },
+        async set(key, entry) {
+            try {
+                await runRequest('readwrite', store => store.put(entry, key));
+            } catch (error) {
+                console.warn('Weather data could not be cached:', error);
+            }
+        },
+    };
+}
+
+/**
+ * Persists the entries as JSON files on disk. Used on the server, e.g. during `astro build`.
+ * Without a directory the `WEATHER_CACHE_DIR` environment variable is used, or else `tambopata` in the
+ * user's cache directory (`$XDG_CACHE_HOME`, `~/.cache` if unset).
+ * @param {string} [directory] - Directory for the cache files.
+ * @returns {{name: string, get: Function, set: Function}} The cache backend.
+ */
+export function createFileCache(directory) {
+    // Loaded lazily (and hidden from the bundler) so that the browser bundle never pulls in Node modules
+    const nodeModules = ['node:fs/promises', 'node:path', 'node:os'];
+    const loadModules = async () => {
+        const [fs, path, os] = await Promise.all(nodeModules.map(name => import(/* @vite-ignore */ name)));
+        const {env} = process;
+        const cacheDirectory = directory
+            || env.WEATHER_CACHE_DIR
+            || path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'tambopata');
+        return {fs, file: (key) => path.join(cacheDirectory, `${key}.json`), cacheDirectory};
+    };
+
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                const {fs, file} = await loadModules();
+                return JSON.parse(await fs.readFile(file(key), 'utf8'));
+            } catch (error) {
+                return null; // No cache file yet
+            }
+        },
+        async set(key, entry) {
+            try {
+                const {fs, file, cacheDirectory} = await loadModules();
+                await fs.mkdir(cacheDirectory, {recursive: true});
+                await fs.writeFile(file(key), JSON.stringify(entry));
+            } catch (error) {
+                console.warn('Weather data could not be written to the file cache:', error);
+            }
+        },
+    };
+}
+
+/**
+ * Picks the persistent backend for the current environment.
+ * In the browser IndexedDB is preferred; localStorage is used where IndexedDB is missing, and memory where
+ * neither is available (accessing `window.localStorage` throws when storage is disabled, e.g. in sandboxed iframes).
+ * @returns {{name: string, get: Function, set: Function}} A browser storage backend, or a file cache on the server.
+ */
+export function createDefaultCache() {
+    if (typeof window !== 'undefined') {
+        try {
+            if (window.indexedDB) return createIndexedDbCache();
+            if (window.localStorage) return createLocalStorageCache();
+        } catch (error) {
+            console.warn('Browser storage is not available, weather data is only kept in memory:', error);
+        }
+        return createMemoryCache();
+    }
+    return createFileCache();
+}
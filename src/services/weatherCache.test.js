@@ -0,0 +1,109 @@
+import {afterEach, beforeEach, describe, expect, test, vi} from 'vitest';
+import {IDBFactory} from 'fake-indexeddb';
+import {mkdtemp, readFile, rm} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {createDefaultCache, createFileCache, createIndexedDbCache} from './weatherCache.js';
+
+const ENTRY = {data: [{name: 'Dresden'}], timestamp: 1792800000000, locations: 'open-meteo|Dresden@51.0504,13.7373'};
+
+beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+});
+
+describe('createIndexedDbCache', () => {
+    test('stores and restores entries', async () => {
+        const factory = new IDBFactory();
+        const cache = createIndexedDbCache('tambopata', factory);
+        expect(cache.name).toBe('indexedDB');
+        expect(await cache.get('weather')).toBeNull();
+
+        await cache.set('weather', ENTRY);
+        expect(await cache.get('weather')).toEqual(ENTRY);
+        // Another page load opens the same database
+        expect(await createIndexedDbCache('tambopata', factory).get('weather')).toEqual(ENTRY);
+    });
+
+    test('catches failing operations and opens the database again afterwards', async () => {
+        const factory = new IDBFactory();
+        const open = vi.spyOn(factory, 'open').mockImplementationOnce(() => {
+            throw new DOMException('The operation is insecure.', 'SecurityError');
+        });
+        const cache = createIndexedDbCache('tambopata', factory);
+
+        expect(await cache.get('weather')).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith('Cached weather data could not be read:', expect.any(DOMException));
+
+        await cache.set('weather', ENTRY);
+        expect(open).toHaveBeenCalledTimes(2);
+        expect(await cache.get('weather')).toEqual(ENTRY);
+    });
+
+    test('catches entries that cannot be stored', async () => {
+        const cache = createIndexedDbCache('tambopata', new IDBFactory());
+        await cache.set('weather', {data: () => {}});
+        expect(console.warn).toHaveBeenCalledWith('Weather data could not be cached:', expect.anything());
+        expect(await cache.get('weather')).toBeNull();
+    });
+});
+
+describe('createFileCache', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'tambopata-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    test('writes to WEATHER_CACHE_DIR', async () => {
+        vi.stubEnv('WEATHER_CACHE_DIR', join(directory, 'weather'));
+        await createFileCache().set('weather', ENTRY);
+        expect(JSON.parse(await readFile(join(directory, 'weather', 'weather.json'), 'utf8'))).toEqual(ENTRY);
+    });
+
+    test('writes to the XDG cache directory otherwise', async () => {
+        vi.stubEnv('WEATHER_CACHE_DIR', '');
+        vi.stubEnv('XDG_CACHE_HOME', directory);
+        const cache = createFileCache();
+
+        expect(await cache.get('weather')).toBeNull();
+        await cache.set('weather', ENTRY);
+        expect(await cache.get('weather')).toEqual(ENTRY);
+        expect(JSON.parse(await readFile(join(directory, 'tambopata', 'weather.json'), 'utf8'))).toEqual(ENTRY);
+    });
+});
+
+describe('createDefaultCache', () => {
+    test('prefers IndexedDB in the browser', () => {
+        vi.stubGlobal('window', {indexedDB: new IDBFactory(), localStorage: {}});
+        expect(createDefaultCache().name).toBe('indexedDB');
+    });
+
+    test('falls back to localStorage without IndexedDB', () => {
+        vi.stubGlobal('window', {localStorage: {}});
+        expect(createDefaultCache().name).toBe('localStorage');
+    });
+
+    test('falls back to memory when storage is disabled', () => {
+        // Sandboxed iframes throw on any access to localStorage
+        vi.stubGlobal('window', {
+            get localStorage() {
+                throw new DOMException('The document is sandboxed and lacks the "allow-same-origin" flag.', 'SecurityError');
+            },
+        });
+        expect(createDefaultCache().name).toBe('memory');
+    });
+
+    test('uses the file cache on the server', () => {
+        expect(createDefaultCache().name).toBe('file');
+    });
+});
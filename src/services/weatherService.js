@@ -1,65 +1,219 @@
 import {DateTime} from 'luxon';
-import {LOCATIONS} from '../config.js';
+import {ALERT_RULES, LOCATIONS, WEATHER_PROVIDER} from '../config.js';
+import {getWeatherProvider} from './providers/index.js';
+import {createDefaultCache} from './weatherCache.js';
+import {evaluateAlerts, resolveAlertRules} from '../utils/alerts.js';
+import {retryWithBackoff} from '../utils/fetchWithRetry.js';
+import {getMoonPhase, getNextMoonEvent} from '../utils/lunarPosition.js';
+import {getSolarPosition, getSunTimes, SUNRISE_ELEVATION} from '../utils/solarPosition.js';
 
-// A simple in-memory cache to minimize API requests.
+// Cache to minimize API requests. The memory copy is backed by a persistent backend
+// (IndexedDB or localStorage in the browser, a file on the server) so the last data survives reloads and offline periods.
 const cache = {
     data: null,
+    // The provider the data is fetched from (see providers/index.js)
+    provider: getWeatherProvider(WEATHER_PROVIDER),
+    // The clock and fetch implementation; replaceable to run the service against fixtures
+    now: () => DateTime.now(),
+    fetchFn: undefined,
     timestamp: 0,
+    backend: createDefaultCache(),
+    // Whether the backend has been read into memory yet
+    loaded: false,
     // Store the in-flight fetch promise to prevent race conditions
     fetchPromise: null,
-    // Cache is valid for 15 minutes (in milliseconds)
-    CACHE_DURATION: 15 * 60 * 1000
+    // The error of the last failed fetch, cleared by the next successful one
+    lastError: null,
+    // Called whenever new data arrives or a fetch fails
+    listeners: new Set(),
+    // Data is fresh for 15 minutes (in milliseconds)...
+    CACHE_DURATION: 15 * 60 * 1000,
+    // ...and served while revalidating in the background for up to 2 days
+    MAX_STALE_DURATION: 2 * 24 * 60 * 60 * 1000
 };
 
+const CACHE_KEY = 'weather';
+
+// Timeout per request and retries with exponential backoff (in milliseconds)
+const FETCH_OPTIONS = {
+    timeout: 10 * 1000,
+    retries: 3,
+    baseDelay: 1000,
+    maxDelay: 8 * 1000,
+};
+
+// Cached data is only valid for the provider and locations it was fetched for
+const getLocationsSignature = () => `${cache.provider.name}|` + LOCATIONS.map(loc => `${loc.name}@${loc.latitude},${loc.longitude}`).join('|');
+
 /**
- * Fetches and caches weather data for all locations defined in config.js.
- * This function is the base for all other data processing.
+ * Switches the weather provider (e.g. to "mock" for offline development) and clears the in-memory data.
+ * @param {string|{name: string, fetchForecast: Function}} provider - A provider name or a provider object.
  */
-export async function getSharedWeatherData() {
-    const now = Date.now();
+export function setWeatherProvider(provider) {
+    cache.provider = typeof provider === 'string' ? getWeatherProvider(provider) : provider;
+    cache.data = null;
+    cache.timestamp = 0;
+    cache.loaded = false;
+}
 
-    // 1. Check if valid data exists in the cache
-    if (cache.data && (now - cache.timestamp < cache.CACHE_DURATION)) {
-        console.log("✅ Weather data loaded from cache.");
-        return cache.data;
+/**
+ * Replaces the clock used for all "now" lookups, e.g. with a fixed time from providers/fixtures/index.js.
+ * @param {Function|null} now - Returns the current time as a DateTime; null restores the system clock.
+ */
+export function setWeatherClock(now) {
+    cache.now = now || (() => DateTime.now());
+}
+
+/**
+ * Replaces the fetch implementation the providers use, e.g. with createFixtureFetch() from providers/fixtures/index.js.
+ * @param {Function|null} fetchFn - A function with the signature of `fetch`; null restores the global fetch.
+ */
+export function setWeatherFetch(fetchFn) {
+    cache.fetchFn = fetchFn || undefined;
+}
+
+/**
+ * Replaces the persistent cache backend (see weatherCache.js) and clears the in-memory copy.
+ * @param {{name: string, get: Function, set: Function}} backend - The new cache backend.
+ */
+export function setWeatherCacheBackend(backend) {
+    cache.backend = backend;
+    cache.data = null;
+    cache.timestamp = 0;
+    cache.loaded = false;
+}
+
+/**
+ * Registers a listener that is called whenever the weather data or its status changes,
+ * e.g. after a background revalidation.
+ * @param {Function} listener - Called with the current status (see getWeatherDataStatus).
+ * @returns {Function} A function that removes the listener again.
+ */
+export function subscribeToWeatherUpdates(listener) {
+    cache.listeners.add(listener);
+    return () => cache.listeners.delete(listener);
+}
+
+/**
+ * Describes the age and origin of the cached weather data, for the "last updated" indicator.
+ * `locations` has the outcome of the last fetch per location name (see getWeatherStatusForLocation).
+ * @returns {{updatedAt: number|null, isStale: boolean, isOffline: boolean, isRevalidating: boolean, backend: string,
+ *          locations: Object<string, {status: ('ok'|'stale'|'error'), error: string|null}>}}
+ */
+export function getWeatherDataStatus() {
+    const locations = {};
+    (cache.data || []).forEach(loc => {
+        locations[loc.name] = {status: loc.weather ? loc.status || 'ok' : 'error', error: loc.error || null};
+    });
+
+    return {
+        updatedAt: cache.data ? cache.timestamp : null,
+        isStale: !cache.data || cache.now().toMillis() - cache.timestamp >= cache.CACHE_DURATION,
+        isOffline: cache.lastError !== null,
+        isRevalidating: cache.fetchPromise !== null,
+        backend: cache.backend.name,
+        locations,
+    };
+}
+
+function notifyListeners() {
+    const status = getWeatherDataStatus();
+    cache.listeners.forEach(listener => listener(status));
+}
+
+/**
+ * Reads the persisted entry into memory once.
+ */
+async function loadPersistedData() {
+    if (cache.loaded) return;
+    cache.loaded = true;
+
+    const entry = await cache.backend.get(CACHE_KEY);
+    if (entry?.data && entry.locations === getLocationsSignature() && entry.timestamp > cache.timestamp) {
+        cache.data = entry.data;
+        cache.timestamp = entry.timestamp;
+        console.log(`💾 Weather data restored from ${cache.backend.name} cache.`);
     }
+}
 
-    // 2. Check if a fetch is already in progress. If so, return the existing promise.
+/**
+ * Fetches the forecast for a single location from the current provider, with a timeout and retries.
+ * @param {object} location - A location from config.js.
+ * @returns {Promise<import('./providers/index.js').NormalizedForecast>} The normalized forecast.
+ */
+function fetchLocationWeather(location) {
+    const {provider} = cache;
+
+    const options = {timeout: FETCH_OPTIONS.timeout, fetchFn: cache.fetchFn, now: cache.now()};
+
+    return retryWithBackoff(() => provider.fetchForecast(location, options), {
+        ...FETCH_OPTIONS,
+        onRetry: (error, attempt, delay) => {
+            console.warn(`🔁 Retrying API fetch for ${location.name} (attempt ${attempt}) in ${Math.round(delay)} ms:`, error.message);
+        },
+    });
+}
+
+/**
+ * Fetches new data from the API for all locations and stores it in the cache.
+ * Locations that fail keep their last known data (status "stale") or have no data (status "error").
+ * Concurrent calls share the same in-flight request.
+ * @returns {Promise<Array<object>>} The fresh data.
+ */
+function revalidate() {
+    // If a fetch is already in progress, return the existing promise.
     if (cache.fetchPromise) {
         console.log("⏳ Waiting for an already ongoing API fetch...");
         return cache.fetchPromise;
     }
 
-    console.log("🔥 Fetching new weather data from the API...");
+    console.log(`🔥 Fetching new weather data from ${cache.provider.name}...`);
 
-    // 3. If no cache and no ongoing fetch, start a new one.
     cache.fetchPromise = (async () => {
         try {
-            const fetchPromises = LOCATIONS.map(location =>
-                fetch(`https://api.open-meteo.com/v1/forecast?latitude=${location.latitude}&longitude=${location.longitude}&daily=sunrise,sunset,precipitation_probability_max&hourly=temperature_2m,apparent_temperature,weathercode,precipitation&timezone=auto&forecast_days=2`)
-                    .then(res => {
-                        if (!res.ok) {
-                            throw new Error(`API request failed with status ${res.status}`);
-                        }
-                        return res.json();
-                    })
-                    .then(data => ({...location, weather: data}))
-            );
-
-            const results = await Promise.all(fetchPromises);
+            // Every location is fetched (and may fail) on its own, so one failing city does not hide the others
+            const settled = await Promise.allSettled(LOCATIONS.map(fetchLocationWeather));
+            const previousData = cache.data || [];
+
+            const results = settled.map((result, idx) => {
+                const location = LOCATIONS[idx];
+                if (result.status === 'fulfilled') {
+                    return {...location, weather: result.value, status: 'ok', error: null};
+                }
+
+                console.error(`API fetch for ${location.name} failed:`, result.reason);
+                // Keep the last known data for this location, marked as stale
+                const previous = previousData.find(loc => loc.name === location.name && loc.weather);
+                return {
+                    ...location,
+                    weather: previous ? previous.weather : null,
+                    status: previous ? 'stale' : 'error',
+                    error: result.reason.message,
+                };
+            });
+
+            if (results.every(result => result.status !== 'ok')) {
+                throw new Error(`API fetch failed for all locations: ${results.map(result => result.error).join('; ')}`);
+            }
+
             console.log("✅ API fetch successful. Combined data:", results);
+            results.filter(result => result.status === 'ok').forEach(crossCheckSunTimes);
 
             // Store the results in the cache
             cache.data = results;
-            cache.timestamp = Date.now();
+            cache.timestamp = cache.now().toMillis();
+            cache.lastError = null;
+            await cache.backend.set(CACHE_KEY, {data: results, timestamp: cache.timestamp, locations: getLocationsSignature()});
 
             return cache.data;
         } catch (error) {
             console.error("API fetch failed:", error);
+            cache.lastError = error;
             throw error;
         } finally {
             // Clear the promise once it's resolved or rejected.
             cache.fetchPromise = null;
+            notifyListeners();
         }
     })();
 
@@ -67,33 +221,279 @@ export async function getSharedWeatherData() {
 }
 
 /**
- * Analyzes the weather data for a single location and returns the next sun event.
+ * Fetches and caches weather data for all locations defined in config.js.
+ * This function is the base for all other data processing.
+ *
+ * Uses stale-while-revalidate: fresh data is returned directly, stale data is returned immediately
+ * while new data is fetched in the background, and if the API is unreachable the last data is kept.
+ */
+export async function getSharedWeatherData() {
+    await loadPersistedData();
+    const age = cache.now().toMillis() - cache.timestamp;
+
+    // 1. Fresh data in the cache
+    if (cache.data && age < cache.CACHE_DURATION) {
+        console.log("✅ Weather data loaded from cache.");
+        return cache.data;
+    }
+
+    // 2. Stale data: serve it and refresh in the background
+    if (cache.data && age < cache.MAX_STALE_DURATION) {
+        console.log("♻️ Serving stale weather data while revalidating...");
+        revalidate().catch(() => {
+            // Already logged; the stale data stays in use
+        });
+        return cache.data;
+    }
+
+    // 3. No usable data: wait for the API, falling back to outdated data if it fails
+    try {
+        return await revalidate();
+    } catch (error) {
+        if (cache.data) {
+            console.warn("📴 API unavailable, using outdated weather data.");
+            return cache.data;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reports whether the weather data of a single location could be fetched.
  * @param {string} locationName - The name of the location (e.g., "Dresden").
- * @returns {Promise<{icon: string, time: string}>} An object with the icon and time for the next sun event.
+ * @returns {Promise<{status: ('ok'|'stale'|'error'), error: string|null}>}
+ *          "stale" means the last fetch failed and older data is shown, "error" means there is no data at all.
  */
-export async function getNextSunEventForLocation(locationName) {
-    const allWeatherData = await getSharedWeatherData();
-    const locationData = allWeatherData.find(loc => loc.name === locationName);
+export async function getWeatherStatusForLocation(locationName) {
+    try {
+        const allWeatherData = await getSharedWeatherData();
+        const locationData = allWeatherData.find(loc => loc.name === locationName);
 
-    if (!locationData || !locationData.weather) {
-        console.error(`Weather data for "${locationName}" could not be found.`);
-        return {icon: '❓', time: '--:--'};
+        if (!locationData || !locationData.weather) {
+            return {status: 'error', error: locationData?.error || `No weather data for "${locationName}".`};
+        }
+        return {status: locationData.status || 'ok', error: locationData.error || null};
+    } catch (error) {
+        return {status: 'error', error: error.message};
     }
+}
+
+/**
+ * Cross-checks the provider's sunrise and sunset against the local solar position calculation.
+ * At sunrise/sunset the sun should be at about -0.833° elevation; larger deviations are logged.
+ * @param {object} locationData - A location from config.js together with its `weather` payload.
+ * @returns {boolean} True if the API sun times are plausible.
+ */
+export function crossCheckSunTimes(locationData) {
+    const MAX_DEVIATION = 1; // Degrees, roughly 4 minutes of time near the equator
+    const {weather, latitude, longitude, name} = locationData;
+    const today = weather?.daily?.[0];
+    if (!today?.sunrise || !today?.sunset) return true;
+
+    const events = {sunrise: today.sunrise, sunset: today.sunset};
+    let plausible = true;
 
-    const {weather} = locationData;
-    const locationTimezone = weather.timezone;
-    const nowInLocation = DateTime.now().setZone(locationTimezone);
-    const sunriseToday = DateTime.fromISO(weather.daily.sunrise[0], {zone: locationTimezone});
-    const sunsetToday = DateTime.fromISO(weather.daily.sunset[0], {zone: locationTimezone});
-    const sunriseTomorrow = DateTime.fromISO(weather.daily.sunrise[1], {zone: locationTimezone});
+    for (const [event, time] of Object.entries(events)) {
+        const eventTime = DateTime.fromISO(time, {zone: weather.timezone});
+        // SUNRISE_ELEVATION already includes the refraction, so it is compared with the geometric elevation
+        const {elevation} = getSolarPosition(eventTime, latitude, longitude, false);
 
-    if (nowInLocation < sunriseToday) {
-        return {icon: '🌅️', time: sunriseToday.diff(nowInLocation).toFormat('h:mm')};
-    } else if (nowInLocation < sunsetToday) {
-        return {icon: '🌙', time: sunsetToday.diff(nowInLocation).toFormat('h:mm')};
-    } else {
-        return {icon: '🌅', time: sunriseTomorrow.diff(nowInLocation).toFormat('h:mm')};
+        if (Math.abs(elevation - SUNRISE_ELEVATION) > MAX_DEVIATION) {
+            console.warn(`⚠️ API ${event} for ${name} (${time}) deviates from the calculated sun position (elevation ${elevation.toFixed(2)}°).`);
+            plausible = false;
+        }
     }
+
+    return plausible;
+}
+
+/**
+ * Calculates sunrise, sunset, twilight and golden hour times locally, without the API.
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [date] - Any instant of the day in question. Defaults to now.
+ * @returns {ReturnType<typeof getSunTimes>|null} The sun times in the location's timezone, or null for unknown locations.
+ */
+export function getSunTimesForLocation(locationName, date = cache.now()) {
+    const location = LOCATIONS.find(loc => loc.name === locationName);
+
+    if (!location) {
+        console.error(`Location "${locationName}" is not configured.`);
+        return null;
+    }
+
+    return getSunTimes(date, location.latitude, location.longitude, location.timezone);
+}
+
+// Display icons for the sun event types.
+const SUN_EVENT_ICONS = {
+    sunrise: '🌅',
+    sunset: '🌇',
+    polarDay: '☀️',
+    polarNight: '🌑',
+};
+
+/**
+ * @typedef {object} SunEvent
+ * @property {('sunrise'|'sunset'|null)} type - The type of the next sun event, or null if unknown.
+ * @property {string} icon - A display icon for the event (or the polar day/night if there is none soon).
+ * @property {string|null} at - Absolute ISO time of the event in the location's timezone.
+ * @property {Duration|null} remaining - Time left until the event.
+ * @property {boolean} isDay - True if the sun is above the horizon right now.
+ * @property {('day'|'night'|null)} polar - Set during polar day or polar night.
+ * @property {('api'|'calculated')} source - Where the event time comes from.
+ */
+
+/**
+ * Builds a structured sun event from a list of candidate sunrises and sunsets.
+ * @param {Array<{type: string, at: DateTime|null}>} candidates - Sunrise/sunset times, in any order.
+ * @param {object} location - The location from config.js.
+ * @param {DateTime} now - The current time in the location's timezone.
+ * @param {('api'|'calculated')} source - Where the candidates come from.
+ * @returns {SunEvent|null} The next sun event, or null if none of the candidates is in the future.
+ */
+function buildSunEvent(candidates, location, now, source) {
+    const next = candidates
+        .filter(event => event.at && event.at.isValid && event.at > now)
+        .sort((a, b) => a.at - b.at)[0];
+    if (!next) return null;
+
+    // The current elevation decides day or night, which also works during polar day/night
+    const {elevation} = getSolarPosition(now, location.latitude, location.longitude, false);
+    const isDay = elevation > SUNRISE_ELEVATION;
+    const {polar} = getSunTimes(now, location.latitude, location.longitude, location.timezone);
+    const icon = polar ? SUN_EVENT_ICONS[polar === 'day' ? 'polarDay' : 'polarNight'] : SUN_EVENT_ICONS[next.type];
+
+    return {
+        type: next.type,
+        icon,
+        at: next.at.setZone(location.timezone).toISO(),
+        remaining: next.at.diff(now, ['hours', 'minutes']),
+        isDay,
+        polar,
+        source,
+    };
+}
+
+/**
+ * Finds the next sunrise/sunset from the locally calculated sun times.
+ * Searches up to a year ahead, so the end of a polar day or night is found as well.
+ * @param {object} location - The location from config.js.
+ * @param {DateTime} at - The time to search from.
+ * @returns {SunEvent|null} The next sun event.
+ */
+function getLocalNextSunEvent(location, at) {
+    const now = at.setZone(location.timezone);
+
+    for (let day = 0; day <= 366; day++) {
+        const sunTimes = getSunTimes(now.plus({days: day}), location.latitude, location.longitude, location.timezone);
+        const event = buildSunEvent([
+            {type: 'sunrise', at: sunTimes.sunrise},
+            {type: 'sunset', at: sunTimes.sunset},
+        ], location, now, 'calculated');
+
+        if (event) return event;
+    }
+
+    return null;
+}
+
+/**
+ * Returns the next sun event for a single location from the API's daily sunrise/sunset.
+ * Falls back to the locally calculated sun times if the API data is unavailable or has no
+ * upcoming sunrise/sunset (e.g. during polar day or night).
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [at] - The time to search from, e.g. a simulated time. Defaults to now.
+ * @returns {Promise<SunEvent>} The next sun event.
+ */
+export async function getNextSunEventForLocation(locationName, at = cache.now()) {
+    const location = LOCATIONS.find(loc => loc.name === locationName);
+    const unknown = {type: null, icon: '❓', at: null, remaining: null, isDay: false, polar: null, source: 'calculated'};
+
+    if (!location) {
+        console.error(`Location "${locationName}" is not configured.`);
+        return unknown;
+    }
+
+    let locationData;
+    try {
+        const allWeatherData = await getSharedWeatherData();
+        locationData = allWeatherData.find(loc => loc.name === locationName);
+    } catch (error) {
+        console.warn(`Using calculated sun times for "${locationName}", the API is unavailable.`);
+    }
+
+    const daily = locationData?.weather?.daily;
+    if (daily) {
+        const zone = locationData.weather.timezone;
+        const now = at.setZone(zone);
+        const toDateTime = (time) => time ? DateTime.fromISO(time, {zone}) : null;
+        const candidates = daily.flatMap(day => [
+            {type: 'sunrise', at: toDateTime(day.sunrise)},
+            {type: 'sunset', at: toDateTime(day.sunset)},
+        ]);
+
+        const event = buildSunEvent(candidates, location, now, 'api');
+        if (event) return event;
+    }
+
+    return getLocalNextSunEvent(location, at) || unknown;
+}
+
+/**
+ * Finds the next (or current) golden hour from the locally calculated sun times.
+ * The golden hour lasts from sunrise until the sun is 6° high, and from 6° until sunset.
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [at] - The time to search from, e.g. a simulated time. Defaults to now.
+ * @returns {{active: boolean, time: string}|null} Whether the golden hour is happening now and the time until it starts
+ *          (or ends, if active), or null if there is none in the next two days.
+ */
+export function getNextGoldenHourForLocation(locationName, at = cache.now()) {
+    const today = getSunTimesForLocation(locationName, at);
+    if (!today) return null;
+
+    const now = at.setZone(today.solarNoon.zone);
+    const tomorrow = getSunTimesForLocation(locationName, now.plus({days: 1}));
+
+    const windows = [today, tomorrow].flatMap(day => [
+        {start: day.sunrise, end: day.goldenHourEnd},
+        {start: day.goldenHourStart, end: day.sunset},
+    ]).filter(window => window.start && window.end);
+
+    const current = windows.find(window => window.start <= now && now < window.end);
+    if (current) {
+        return {active: true, time: current.end.diff(now).toFormat('h:mm')};
+    }
+
+    const next = windows.find(window => window.start > now);
+    return next ? {active: false, time: next.start.diff(now).toFormat('h:mm')} : null;
+}
+
+/**
+ * Calculates the moon's phase and the next moonrise or moonset for a location.
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [at] - The time to calculate for, e.g. a simulated time. Defaults to now.
+ * @returns {{icon: string, phase: string, illumination: number, next: ('moonrise'|'moonset'|null), time: string|null}|null}
+ *          The phase icon as seen from the location's hemisphere and the phase name (see MOON_PHASES), the illuminated
+ *          fraction, and the type of the next event with the time until it, or null if the location is not configured.
+ */
+export function getMoonForLocation(locationName, at = cache.now()) {
+    const location = LOCATIONS.find(loc => loc.name === locationName);
+
+    if (!location) {
+        console.error(`Location "${locationName}" is not configured.`);
+        return null;
+    }
+
+    const {icon, name, illumination} = getMoonPhase(at, location.latitude);
+    const next = getNextMoonEvent(at, location.latitude, location.longitude);
+
+    return {
+        icon,
+        phase: name,
+        illumination,
+        next: next ? next.type : null,
+        time: next ? next.at.diff(at).toFormat('h:mm') : null,
+    };
 }
 
 /**
@@ -117,12 +517,18 @@ function getWeatherIcon(weatherCode, isDay) {
     return '❓'; // Default case
 }
 
+// Returned by getCurrentWeatherForLocation when no data is available.
+const UNKNOWN_CURRENT_WEATHER = {temperature: null, apparentTemperature: null, weatherCode: null, icon: '❓', precipitation: null};
+
 /**
  * Gets the current weather for a single location from the shared data.
+ * Values are raw numbers in metric units (°C, mm); formatting is left to the UI (see utils/format.js).
  * @param {string} locationName - The name of the location (e.g., "Dresden").
- * @returns {Promise<{temperature: number, icon: string, precipitation: number}>} An object with current weather details.
+ * @param {DateTime} [at] - The time to get the weather at, e.g. a simulated time. Defaults to now.
+ * @returns {Promise<{temperature: number|null, apparentTemperature: number|null, weatherCode: number|null, icon: string, precipitation: number|null}>}
+ *          An object with current weather details; the values are null if no data is available.
  */
-export async function getCurrentWeatherForLocation(locationName) {
+export async function getCurrentWeatherForLocation(locationName, at = cache.now()) {
     // 1. Get the shared data (from cache or fresh fetch)
     const allWeatherData = await getSharedWeatherData();
 
@@ -132,24 +538,23 @@ export async function getCurrentWeatherForLocation(locationName) {
     // 3. Handle cases where the location isn't found
     if (!locationData || !locationData.weather) {
         console.error(`Weather data for "${locationName}" could not be found.`);
-        return {temperature: 'N/A', icon: '❓', precipitation: 'N/A'};
+        return {...UNKNOWN_CURRENT_WEATHER};
     }
 
     // 4. Find the current hour's data for that location
     try {
         const {weather} = locationData;
         const locationTimezone = weather.timezone;
-        const nowInLocation = DateTime.now().setZone(locationTimezone);
+        const nowInLocation = at.setZone(locationTimezone);
 
-        // Determine if it's day or night to select the correct icon
-        const sunriseToday = DateTime.fromISO(weather.daily.sunrise[0], {zone: locationTimezone});
-        const sunsetToday = DateTime.fromISO(weather.daily.sunset[0], {zone: locationTimezone});
-        const isDay = nowInLocation > sunriseToday && nowInLocation < sunsetToday;
+        // Determine if it's day or night to select the correct icon (also works during polar day/night)
+        const {elevation} = getSolarPosition(nowInLocation, locationData.latitude, locationData.longitude, false);
+        const isDay = elevation > SUNRISE_ELEVATION;
 
         // --- IMPROVEMENT ---
         // Find the index of the most recent hourly forecast instead of relying on a fragile string match.
         // This is more robust against clock skew and small delays.
-        const hourlyTimes = weather.hourly.time.map(t => DateTime.fromISO(t, { zone: locationTimezone }));
+        const hourlyTimes = weather.hourly.map(hour => DateTime.fromISO(hour.time, { zone: locationTimezone }));
         let currentIndex = -1;
         for (let i = hourlyTimes.length - 1; i >= 0; i--) {
             if (hourlyTimes[i] <= nowInLocation) {
@@ -158,27 +563,27 @@ export async function getCurrentWeatherForLocation(locationName) {
             }
         }
 
-        if (currentIndex === -1) {
+        // Past the last forecast hour the data no longer describes the current weather. Gaps within the data
+        // (the repeated hour when daylight saving time ends has a single entry) keep the previous hour.
+        const isLastHour = currentIndex === hourlyTimes.length - 1;
+        if (currentIndex === -1 || (isLastHour && nowInLocation.diff(hourlyTimes[currentIndex], 'hours').hours >= 1)) {
             console.error(`Could not find a valid current time index for ${locationName}.`);
-            return {temperature: 'N/A', icon: '❓', precipitation: 'N/A'};
+            return {...UNKNOWN_CURRENT_WEATHER};
         }
 
-        const temperature = weather.hourly.temperature_2m[currentIndex];
-        const weatherCode = weather.hourly.weathercode[currentIndex];
-        const precipitation = weather.hourly.precipitation[currentIndex];
-        const apparentTemperature = weather.hourly.apparent_temperature[currentIndex];
-        const diff = Math.round(apparentTemperature) - Math.round(temperature);
-        const diffStr = diff === 0 ? '' : (diff > 0 ? `+${diff}` : `${diff}`);
+        const {temperature, apparentTemperature, weatherCode, precipitation} = weather.hourly[currentIndex];
 
         return {
-            temperature: `${Math.round(temperature)}°C${diffStr ? ` (${diffStr}°C)` : ''}`,
+            temperature,
+            apparentTemperature,
+            weatherCode,
             icon: getWeatherIcon(weatherCode, isDay),
-            precipitation: precipitation
+            precipitation
         };
 
     } catch (error) {
         console.error(`Error processing current weather for ${locationName}:`, error);
-        return {temperature: 'N/A', icon: '❓', precipitation: 'N/A'};
+        return {...UNKNOWN_CURRENT_WEATHER};
     }
 }
 
@@ -186,9 +591,10 @@ export async function getCurrentWeatherForLocation(locationName) {
  * --- RENAMED ---
  * Gets today's maximum precipitation probability for a given location.
  * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [at] - A time on the day, e.g. a simulated time. Defaults to now.
  * @returns {Promise<{maxPrecipitationProbability: number|string, unit: string}>}
  */
-export async function getTodayPrecipitationProbability(locationName) {
+export async function getTodayPrecipitationProbability(locationName, at = cache.now()) {
     const allWeatherData = await getSharedWeatherData();
     const locationData = allWeatherData.find(loc => loc.name === locationName);
 
@@ -199,7 +605,9 @@ export async function getTodayPrecipitationProbability(locationName) {
 
     try {
         const {weather} = locationData;
-        const maxProbabilityToday = weather.daily.precipitation_probability_max[0];
+        const today = at.setZone(weather.timezone).toISODate();
+        const todayForecast = weather.daily.find(day => day.date === today);
+        const maxProbabilityToday = todayForecast?.precipitationProbabilityMax ?? 'N/A';
         return {
             maxPrecipitationProbability: maxProbabilityToday,
             unit: '%'
@@ -208,4 +616,130 @@ export async function getTodayPrecipitationProbability(locationName) {
         console.error(`Error retrieving precipitation probability for ${locationName}:`, error);
         return {maxPrecipitationProbability: 'N/A', unit: '%'};
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the hourly forecast for a single location, starting with the current hour.
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {number} [hours] - How many hours to return.
+ * @returns {Promise<Array<{time: string, temperature: number, apparentTemperature: number, weatherCode: number,
+ *          icon: string, precipitation: number, precipitationProbability: number|null}>>}
+ *          The forecast hours (ISO times in the location's timezone), or an empty array if no data is available.
+ */
+export async function getHourlyForecastForLocation(locationName, hours = 24) {
+    const allWeatherData = await getSharedWeatherData();
+    const locationData = allWeatherData.find(loc => loc.name === locationName);
+
+    if (!locationData || !locationData.weather || !locationData.weather.hourly) {
+        console.error(`Weather data for "${locationName}" not found or incomplete.`);
+        return [];
+    }
+
+    try {
+        const {weather} = locationData;
+        const zone = weather.timezone;
+        const currentHour = cache.now().setZone(zone).startOf('hour');
+
+        return weather.hourly
+            .map(hour => ({...hour, time: DateTime.fromISO(hour.time, {zone})}))
+            .filter(({time}) => time >= currentHour)
+            .slice(0, hours)
+            .map(hour => {
+                const {elevation} = getSolarPosition(hour.time, locationData.latitude, locationData.longitude, false);
+                return {
+                    time: hour.time.toISO(),
+                    temperature: hour.temperature,
+                    apparentTemperature: hour.apparentTemperature,
+                    weatherCode: hour.weatherCode,
+                    icon: getWeatherIcon(hour.weatherCode, elevation > SUNRISE_ELEVATION),
+                    precipitation: hour.precipitation,
+                    precipitationProbability: hour.precipitationProbability ?? null,
+                };
+            });
+    } catch (error) {
+        console.error(`Error processing hourly forecast for ${locationName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Picks the weather code that occurs most often in a list of hourly codes.
+ * Ties are resolved in favour of the higher (more severe) WMO code.
+ * @param {number[]} codes - Hourly WMO weather codes.
+ * @returns {number} The dominant weather code.
+ */
+function getDominantWeatherCode(codes) {
+    const counts = new Map();
+    codes.forEach(code => counts.set(code, (counts.get(code) || 0) + 1));
+
+    return [...counts.entries()]
+        .sort(([codeA, countA], [codeB, countB]) => countB - countA || codeB - codeA)[0][0];
+}
+
+/**
+ * Returns a daily forecast summary for a single location, aggregated from the hourly data.
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @returns {Promise<Array<{date: string, minTemperature: number, maxTemperature: number, precipitationSum: number,
+ *          precipitationProbability: number|null, weatherCode: number, icon: string}>>}
+ *          One entry per forecast day (ISO dates), or an empty array if no data is available.
+ */
+export async function getDailyForecastForLocation(locationName) {
+    const allWeatherData = await getSharedWeatherData();
+    const locationData = allWeatherData.find(loc => loc.name === locationName);
+
+    if (!locationData || !locationData.weather || !locationData.weather.hourly || !locationData.weather.daily) {
+        console.error(`Weather data for "${locationName}" not found or incomplete.`);
+        return [];
+    }
+
+    try {
+        const {weather} = locationData;
+
+        return weather.daily.map(({date, precipitationProbabilityMax}) => {
+            // Hourly times are local ISO strings like "2025-08-01T13:00:00+02:00", so they can be grouped by prefix
+            const dayHours = weather.hourly.filter(hour => hour.time.startsWith(date));
+            const temperatures = dayHours.map(hour => hour.temperature);
+            const weatherCode = getDominantWeatherCode(dayHours.map(hour => hour.weatherCode));
+            const precipitationSum = dayHours.reduce((sum, hour) => sum + (hour.precipitation || 0), 0);
+
+            return {
+                date,
+                minTemperature: Math.min(...temperatures),
+                maxTemperature: Math.max(...temperatures),
+                precipitationSum: Math.round(precipitationSum * 10) / 10,
+                precipitationProbability: precipitationProbabilityMax ?? null,
+                weatherCode,
+                icon: getWeatherIcon(weatherCode, true),
+            };
+        });
+    } catch (error) {
+        console.error(`Error processing daily forecast for ${locationName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Checks the hourly forecast of a location against the alert rules (ALERT_RULES and the location's `alerts` in config.js).
+ * @param {string} locationName - The name of the location (e.g., "Dresden").
+ * @param {DateTime} [at] - The time to check from, e.g. a simulated time. Defaults to now.
+ * @returns {Promise<Array<object>>} The active and upcoming alerts (see evaluateAlerts), or an empty array if no data is available.
+ */
+export async function getAlertsForLocation(locationName, at = cache.now()) {
+    const allWeatherData = await getSharedWeatherData();
+    const locationData = allWeatherData.find(loc => loc.name === locationName);
+
+    if (!locationData || !locationData.weather || !locationData.weather.hourly) {
+        return [];
+    }
+
+    try {
+        const {weather} = locationData;
+        // Read from the config rather than the cached data, which may predate a rule change
+        const location = LOCATIONS.find(loc => loc.name === locationName);
+        const rules = resolveAlertRules(ALERT_RULES, location?.alerts);
+        return evaluateAlerts(weather.hourly, rules, at.setZone(weather.timezone), locationName);
+    } catch (error) {
+        console.error(`Error evaluating weather alerts for ${locationName}:`, error);
+        return [];
+    }
+}
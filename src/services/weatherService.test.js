@@ -0,0 +1,282 @@
+import {DateTime} from 'luxon';
+import {afterEach, beforeEach, describe, expect, test, vi} from 'vitest';
+import {createFixtureFetch, FIXTURE_SCENARIOS, OPEN_METEO_FIXTURES} from './providers/fixtures/index.js';
+import {normalizeOpenMeteo} from './providers/openMeteoProvider.js';
+import {createMemoryCache} from './weatherCache.js';
+import {getSunTimes} from '../utils/solarPosition.js';
+import {
+    crossCheckSunTimes,
+    getAlertsForLocation,
+    getCurrentWeatherForLocation,
+    getDailyForecastForLocation,
+    getHourlyForecastForLocation,
+    getNextSunEventForLocation,
+    getTodayPrecipitationProbability,
+    getWeatherDataStatus,
+    getWeatherStatusForLocation,
+    setWeatherCacheBackend,
+    setWeatherClock,
+    setWeatherFetch,
+    setWeatherProvider,
+} from './weatherService.js';
+
+/**
+ * Runs the service against the recorded Open-Meteo responses at the given scenario's time, with an empty cache.
+ * @param {{now: Function}} scenario - One of FIXTURE_SCENARIOS.
+ * @param {Object<string, number>} [failures] - HTTP statuses for locations whose request should fail (see createFixtureFetch).
+ */
+function useScenario(scenario, failures) {
+    setWeatherProvider('open-meteo');
+    setWeatherCacheBackend(createMemoryCache());
+    setWeatherFetch(createFixtureFetch({failures}));
+    setWeatherClock(scenario.now);
+}
+
+beforeEach(() => {
+    // The service logs every fetch and cache hit; retries wait no time at all
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    setWeatherClock(null);
+    setWeatherFetch(null);
+});
+
+// Expected values per scenario, read off the fixtures
+const EXPECTED = {
+    beforeDstChange: {
+        current: {temperature: 3.8, apparentTemperature: 1.9, weatherCode: 2, icon: '☁️', precipitation: 0},
+        sun: {type: 'sunrise', at: '2026-10-25T06:45:00.000+01:00', remaining: '6:15', isDay: false, source: 'api'},
+        precipitationProbability: 93,
+    },
+    // The repeated hour has no entry of its own, so the 02:00 CEST hour is still current
+    duringDstChange: {
+        current: {temperature: 3.4, apparentTemperature: 1, weatherCode: 63, icon: '🌧️', precipitation: 0.9},
+        sun: {type: 'sunrise', at: '2026-10-25T06:45:00.000+01:00', remaining: '4:15', isDay: false, source: 'api'},
+        precipitationProbability: 93,
+    },
+    afterDstChange: {
+        current: {temperature: 5.2, apparentTemperature: 3.2, weatherCode: 1, icon: '☁️', precipitation: 0},
+        sun: {type: 'sunrise', at: '2026-10-25T06:45:00.000+01:00', remaining: '0:45', isDay: false, source: 'api'},
+        precipitationProbability: 93,
+    },
+    beforeMidnight: {
+        current: {temperature: 6.4, apparentTemperature: 4.6, weatherCode: 0, icon: '🌙', precipitation: 0},
+        sun: {type: 'sunrise', at: '2026-10-24T07:43:00.000+02:00', remaining: '7:43', isDay: false, source: 'api'},
+        precipitationProbability: 20,
+    },
+    afterMidnight: {
+        current: {temperature: 4.2, apparentTemperature: 1.8, weatherCode: 61, icon: '🌧️', precipitation: 0},
+        sun: {type: 'sunrise', at: '2026-10-24T07:43:00.000+02:00', remaining: '7:42', isDay: false, source: 'api'},
+        precipitationProbability: 95,
+    },
+    lastForecastHour: {
+        current: {temperature: 22.8, apparentTemperature: 25, weatherCode: 1, icon: '☁️', precipitation: 0},
+        sun: {type: 'sunrise', at: '2026-10-29T05:05', remaining: '5:50', isDay: false, source: 'calculated'},
+        precipitationProbability: 17,
+    },
+    afterForecast: {
+        current: {temperature: null, apparentTemperature: null, weatherCode: null, icon: '❓', precipitation: null},
+        sun: {type: 'sunset', at: '2026-10-29T17:37', remaining: '9:37', isDay: true, source: 'calculated'},
+        precipitationProbability: 'N/A',
+    },
+};
+
+describe('weather service with fixtures', () => {
+    test.each(Object.keys(FIXTURE_SCENARIOS))('%s', async (key) => {
+        const scenario = FIXTURE_SCENARIOS[key];
+        const expected = EXPECTED[key];
+        useScenario(scenario);
+
+        expect(await getCurrentWeatherForLocation(scenario.location)).toEqual(expected.current);
+
+        const sun = await getNextSunEventForLocation(scenario.location);
+        expect(sun).toMatchObject({type: expected.sun.type, isDay: expected.sun.isDay, source: expected.sun.source, polar: null});
+        // Calculated times have seconds; compare them to the minute
+        expect(sun.at.startsWith(expected.sun.at)).toBe(true);
+        expect(sun.remaining.toFormat('h:mm')).toBe(expected.sun.remaining);
+
+        expect(await getTodayPrecipitationProbability(scenario.location)).toEqual({
+            maxPrecipitationProbability: expected.precipitationProbability,
+            unit: '%',
+        });
+    });
+});
+
+describe('weather at a simulated time', () => {
+    test('is looked up at the given time instead of the clock', async () => {
+        useScenario(FIXTURE_SCENARIOS.afterDstChange);
+        const at = FIXTURE_SCENARIOS.afterMidnight.now();
+
+        expect(await getCurrentWeatherForLocation('Dresden', at)).toEqual(EXPECTED.afterMidnight.current);
+        expect(await getTodayPrecipitationProbability('Dresden', at)).toEqual({
+            maxPrecipitationProbability: EXPECTED.afterMidnight.precipitationProbability,
+            unit: '%',
+        });
+
+        // The thunderstorms in Tambopata on 2026-10-24 are over by the clock's time
+        const storm = DateTime.fromISO('2026-10-24T08:00', {zone: 'America/Lima'});
+        expect((await getAlertsForLocation('Tambopata', storm)).map(alert => alert.id)).toEqual(['Tambopata-storm-2026-10-24']);
+        expect((await getAlertsForLocation('Tambopata')).map(alert => alert.id)).toEqual([]);
+    });
+});
+
+describe('forecast with fixtures', () => {
+    test('the hourly forecast starts at the current hour and crosses the DST change', async () => {
+        const scenario = FIXTURE_SCENARIOS.beforeDstChange;
+        useScenario(scenario);
+
+        const hours = await getHourlyForecastForLocation(scenario.location, 4);
+        expect(hours.map(hour => `${hour.time} ${hour.icon}`)).toEqual([
+            '2026-10-25T01:00:00.000+02:00 ☁️',
+            '2026-10-25T02:00:00.000+02:00 🌧️',
+            '2026-10-25T03:00:00.000+01:00 🌧️',
+            '2026-10-25T04:00:00.000+01:00 🌙',
+        ]);
+        expect(hours[1]).toEqual({
+            time: '2026-10-25T02:00:00.000+02:00',
+            temperature: 3.4,
+            apparentTemperature: 1,
+            weatherCode: 63,
+            icon: '🌧️',
+            precipitation: 0.9,
+            precipitationProbability: 52,
+        });
+        expect(await getHourlyForecastForLocation(scenario.location)).toHaveLength(24);
+    });
+
+    test('the hourly forecast runs out with the data', async () => {
+        useScenario(FIXTURE_SCENARIOS.lastForecastHour);
+        expect((await getHourlyForecastForLocation('Tambopata')).map(hour => hour.time)).toEqual(['2026-10-28T23:00:00.000-05:00']);
+
+        useScenario(FIXTURE_SCENARIOS.afterForecast);
+        expect(await getHourlyForecastForLocation('Tambopata')).toEqual([]);
+    });
+
+    test('the daily forecast sums up each local day, also the 25 hours of the DST change', async () => {
+        useScenario(FIXTURE_SCENARIOS.beforeDstChange);
+
+        const days = await getDailyForecastForLocation('Dresden');
+        expect(days).toHaveLength(7);
+        expect(days.find(day => day.date === '2026-10-25')).toEqual({
+            date: '2026-10-25',
+            minTemperature: 3.2,
+            maxTemperature: 13.3,
+            precipitationSum: 12.6,
+            precipitationProbability: 93,
+            weatherCode: 63,
+            icon: '🌧️',
+        });
+        expect(days.find(day => day.date === '2026-10-28')).toMatchObject({precipitationSum: 7.4, weatherCode: 80, icon: '🌦️'});
+    });
+
+    test('both are empty for a location that failed', async () => {
+        useScenario(FIXTURE_SCENARIOS.beforeMidnight, {Tambopata: 500});
+        expect(await getHourlyForecastForLocation('Tambopata')).toEqual([]);
+        expect(await getDailyForecastForLocation('Tambopata')).toEqual([]);
+    });
+});
+
+describe('weather service failures', () => {
+    const scenario = FIXTURE_SCENARIOS.beforeMidnight;
+
+    test.each([
+        ['a network error', 0],
+        ['a server error', 500],
+        ['a client error', 400],
+    ])('one location failing with %s keeps the others', async (_, status) => {
+        useScenario(scenario, {Tambopata: status});
+
+        expect(await getWeatherStatusForLocation('Dresden')).toEqual({status: 'ok', error: null});
+        expect(await getWeatherStatusForLocation('Tambopata')).toMatchObject({status: 'error'});
+        expect(await getCurrentWeatherForLocation('Tambopata')).toMatchObject({temperature: null, icon: '❓'});
+
+        const {locations, isOffline} = getWeatherDataStatus();
+        expect(isOffline).toBe(false);
+        expect(locations.Dresden).toEqual({status: 'ok', error: null});
+        expect(locations.Tambopata.status).toBe('error');
+        expect(locations.Tambopata.error).toMatch(status ? `status ${status}` : 'fetch failed');
+    });
+
+    test('a failing location keeps its last data as stale', async () => {
+        useScenario(scenario);
+        await getCurrentWeatherForLocation('Tambopata');
+
+        // Past the stale window the next request waits for the API, where Tambopata now fails
+        setWeatherFetch(createFixtureFetch({failures: {Tambopata: 503}}));
+        setWeatherClock(() => scenario.now().plus({days: 3}));
+        expect(await getWeatherStatusForLocation('Tambopata')).toEqual({status: 'stale', error: 'API request failed with status 503'});
+
+        const {locations} = getWeatherDataStatus();
+        expect(locations.Dresden.status).toBe('ok');
+        expect(locations.Tambopata.status).toBe('stale');
+    });
+
+    test('all locations failing reports the service as offline', async () => {
+        useScenario(scenario, {Dresden: 0, Tambopata: 0});
+
+        expect(await getWeatherStatusForLocation('Dresden')).toMatchObject({status: 'error'});
+        await expect(getTodayPrecipitationProbability('Dresden')).rejects.toThrow('API fetch failed for all locations');
+
+        const {isOffline, updatedAt, locations} = getWeatherDataStatus();
+        expect(isOffline).toBe(true);
+        expect(updatedAt).toBeNull();
+        expect(locations).toEqual({});
+    });
+});
+
+describe('crossCheckSunTimes', () => {
+    const response = OPEN_METEO_FIXTURES.Dresden;
+    const location = {name: 'Dresden', latitude: response.latitude, longitude: response.longitude};
+
+    test('accepts the API sun times', () => {
+        expect(crossCheckSunTimes({...location, weather: normalizeOpenMeteo(response)})).toBe(true);
+    });
+
+    // Moves today's API sunrise by the given number of minutes
+    const withSunriseShifted = (minutes) => {
+        const weather = normalizeOpenMeteo(response);
+        const [today] = weather.daily;
+        const sunrise = DateTime.fromISO(today.sunrise).plus({minutes}).toISO();
+        return {...location, weather: {...weather, daily: [{...today, sunrise}]}};
+    };
+
+    test('tolerates a few minutes in either direction', () => {
+        expect(crossCheckSunTimes(withSunriseShifted(-5))).toBe(true);
+        expect(crossCheckSunTimes(withSunriseShifted(5))).toBe(true);
+    });
+
+    test('rejects a sunrise that is ten minutes off', () => {
+        expect(crossCheckSunTimes(withSunriseShifted(-10))).toBe(false);
+        expect(crossCheckSunTimes(withSunriseShifted(10))).toBe(false);
+    });
+});
+
+describe('day and night', () => {
+    const {sunrise} = getSunTimes(DateTime.fromISO('2026-10-25T12:00', {zone: 'Europe/Berlin'}), 51.0504, 13.7373);
+
+    // Refracting the elevation a second time would turn it into day two minutes early
+    test.each([
+        [-1, false, 'sunrise'],
+        [1, true, 'sunset'],
+    ])('%i minutes from sunrise isDay is %s', async (minutes, isDay, type) => {
+        useScenario({now: () => sunrise.plus({minutes})});
+        expect(await getNextSunEventForLocation('Dresden')).toMatchObject({isDay, type});
+    });
+});
+
+describe('mock provider', () => {
+    test('is loaded on first use and serves the fixtures moved to today', async () => {
+        const scenario = FIXTURE_SCENARIOS.beforeMidnight;
+        setWeatherProvider('mock');
+        setWeatherCacheBackend(createMemoryCache());
+        setWeatherClock(scenario.now);
+
+        expect(await getWeatherStatusForLocation('Dresden')).toEqual({status: 'ok', error: null});
+        expect(await getTodayPrecipitationProbability('Dresden')).toMatchObject({maxPrecipitationProbability: expect.any(Number)});
+    });
+});
@@ -0,0 +1,88 @@
+// Severe weather alerts, evaluated over the normalized hourly forecast (see services/providers/index.js).
+import {DateTime} from 'luxon';
+
+// How each rule type matches an hour, and which value is reported as the peak of the alert
+const RULE_TYPES = {
+    heat: {
+        icon: '🥵',
+        value: (hour) => hour.apparentTemperature ?? hour.temperature,
+        matches: (value, rule) => value >= rule.threshold,
+        peak: Math.max,
+    },
+    frost: {
+        icon: '🥶',
+        value: (hour) => hour.temperature,
+        matches: (value, rule) => value <= rule.threshold,
+        peak: Math.min,
+    },
+    heavyPrecipitation: {
+        icon: '🌧️',
+        value: (hour) => hour.precipitation,
+        matches: (value, rule, hour) => value >= rule.threshold || (rule.codes || []).includes(hour.weatherCode),
+        peak: Math.max,
+    },
+    storm: {
+        icon: '⛈️',
+        value: (hour) => hour.weatherCode,
+        matches: (value, rule) => (rule.codes || []).includes(value),
+        peak: Math.max,
+    },
+};
+
+/**
+ * Merges the configured default rules with the overrides of a location.
+ * @param {Object<string, object>} defaults - The default rules (ALERT_RULES in config.js).
+ * @param {Object<string, object|false>} [overrides] - The `alerts` of a location; `false` disables a rule.
+ * @returns {Object<string, object>} The enabled rules by type.
+ */
+export function resolveAlertRules(defaults, overrides = {}) {
+    const rules = {};
+    Object.keys({...defaults, ...overrides}).forEach(type => {
+        if (overrides[type] === false || !RULE_TYPES[type]) return;
+        rules[type] = {...defaults[type], ...overrides[type]};
+    });
+    return rules;
+}
+
+/**
+ * Checks the hourly forecast against the rules. Every rule produces at most one alert,
+ * spanning from the first to the last matching hour within its look-ahead window.
+ * @param {Array<{time: string, temperature: number|null, apparentTemperature: number|null, weatherCode: number|null, precipitation: number|null}>} hourly
+ *        The normalized hourly forecast.
+ * @param {Object<string, object>} rules - The enabled rules (see resolveAlertRules).
+ * @param {DateTime} now - The current time.
+ * @param {string} locationName - The location, used for the alert ids.
+ * @returns {Array<{id: string, location: string, type: string, icon: string, severity: 'warning'|'severe', start: string, end: string, peak: number}>}
+ *          The alerts, ordered by start time. Start and end are ISO times in the forecast's timezone.
+ */
+export function evaluateAlerts(hourly, rules, now, locationName) {
+    const currentHour = now.startOf('hour');
+
+    return Object.entries(rules)
+        .map(([type, rule]) => {
+            const {icon, value, matches, peak} = RULE_TYPES[type];
+            const windowEnd = currentHour.plus({hours: rule.hours ?? 24});
+            const matching = hourly
+                .map(hour => ({hour, time: DateTime.fromISO(hour.time, {setZone: true}), value: value(hour)}))
+                .filter(({time, value: hourValue, hour}) =>
+                    time >= currentHour && time < windowEnd && typeof hourValue === 'number' && matches(hourValue, rule, hour));
+
+            if (matching.length === 0) return null;
+
+            const start = matching[0].time;
+            const severe = matching.some(({hour}) => (rule.severeCodes || []).includes(hour.weatherCode));
+            return {
+                // Stays the same for the rest of the day, so an ongoing alert is only notified once
+                id: `${locationName}-${type}-${start.toISODate()}`,
+                location: locationName,
+                type,
+                icon,
+                severity: severe ? 'severe' : 'warning',
+                start: start.toISO(),
+                end: matching[matching.length - 1].time.plus({hours: 1}).toISO(),
+                peak: peak(...matching.map(match => match.value)),
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => DateTime.fromISO(a.start) - DateTime.fromISO(b.start));
+}
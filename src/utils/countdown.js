@@ -0,0 +1,61 @@
+import {DateTime} from 'luxon';
+
+const DIFF_UNITS = ['months', 'weeks', 'days'];
+
+// Less than a day away (or ago), the countdown is shown in hours and minutes
+const SHORT_DIFF_UNITS = ['hours', 'minutes'];
+
+/**
+ * Resolves the occurrence of an event that is relevant at `now`.
+ * One-off events always resolve to their configured date. Yearly events resolve to this year's
+ * occurrence until that day is over, and to next year's occurrence afterwards.
+ * @param {{date: string, timezone: string, recurring?: string}} event - A countdown event from config.js.
+ * @param {DateTime} now - The current time.
+ * @returns {DateTime} The occurrence in the event's timezone.
+ */
+export function resolveOccurrence(event, now) {
+    const configured = DateTime.fromISO(event.date, {zone: event.timezone});
+
+    if (event.recurring !== 'yearly') {
+        return configured;
+    }
+
+    const nowInZone = now.setZone(event.timezone);
+    const thisYear = configured.set({year: nowInZone.year});
+
+    return thisYear.endOf('day') < nowInZone ? configured.set({year: nowInZone.year + 1}) : thisYear;
+}
+
+/**
+ * Computes the countdown state for every configured event.
+ * Upcoming events come first (soonest first), followed by past events (most recent first).
+ * @param {Array<{label: string, icon: string, date: string, timezone: string, recurring?: string}>} events - The configured events.
+ * @param {DateTime} now - The current time.
+ * @returns {Array<{label: string, icon: string, at: DateTime, status: ('upcoming'|'today'|'past'), isNext: boolean,
+ *          diff: ({months: number, weeks: number, days: number}|{hours: number, minutes: number})}>}
+ *          The diff is in hours and minutes if the event is less than a day away (or ago).
+ */
+export function getCountdowns(events, now) {
+    const countdowns = events.map(event => {
+        const at = resolveOccurrence(event, now);
+        const isToday = at.hasSame(now.setZone(event.timezone), 'day') && at <= now;
+
+        let status = 'upcoming';
+        if (isToday) status = 'today';
+        else if (at < now) status = 'past';
+
+        const [later, earlier] = status === 'past' ? [now, at] : [at, now];
+        const units = later.diff(earlier, 'days').days < 1 ? SHORT_DIFF_UNITS : DIFF_UNITS;
+        const diff = later.diff(earlier, units).toObject();
+
+        return {...event, at, status, isNext: false, diff};
+    });
+
+    const upcoming = countdowns.filter(c => c.status !== 'past').sort((a, b) => a.at - b.at);
+    const past = countdowns.filter(c => c.status === 'past').sort((a, b) => b.at - a.at);
+
+    const next = upcoming.find(c => c.status === 'upcoming');
+    if (next) next.isNext = true;
+
+    return [...upcoming, ...past];
+}
@@ -0,0 +1,48 @@
+import {describe, expect, test} from 'vitest';
+import {DateTime} from 'luxon';
+import {getCountdowns, resolveOccurrence} from './countdown.js';
+
+const FLIGHT_OUT = {label: 'Flight to Lima', icon: '🛫', date: '2026-12-12T10:35:00', timezone: 'Europe/Berlin'};
+const FLIGHT_BACK = {label: 'Flight back home', icon: '🛬', date: '2027-01-09T19:20:00', timezone: 'America/Lima'};
+const BIRTHDAY = {label: 'Birthday', icon: '🎂', date: '1994-03-07T00:00:00', timezone: 'Europe/Berlin', recurring: 'yearly'};
+
+const at = (iso) => DateTime.fromISO(iso, {zone: 'Europe/Berlin'});
+
+describe('resolveOccurrence', () => {
+    test('keeps one-off events at their date', () => {
+        expect(resolveOccurrence(FLIGHT_BACK, at('2026-10-18T12:00')).toISO()).toBe('2027-01-09T19:20:00.000-05:00');
+    });
+
+    test('moves yearly events to the next occurrence once the day is over', () => {
+        expect(resolveOccurrence(BIRTHDAY, at('2027-03-07T23:00')).toISODate()).toBe('2027-03-07');
+        expect(resolveOccurrence(BIRTHDAY, at('2027-03-08T00:00')).toISODate()).toBe('2028-03-07');
+    });
+});
+
+describe('getCountdowns', () => {
+    test('counts down in months, weeks and days, the next event first', () => {
+        const [flightOut, flightBack, birthday] = getCountdowns([BIRTHDAY, FLIGHT_BACK, FLIGHT_OUT], at('2026-10-18T12:00'));
+
+        expect(flightOut).toMatchObject({label: 'Flight to Lima', status: 'upcoming', isNext: true});
+        expect(flightOut.diff).toMatchObject({months: 1, weeks: 3, days: expect.closeTo(2.94, 2)});
+        expect(flightBack).toMatchObject({status: 'upcoming', isNext: false});
+        expect(birthday).toMatchObject({status: 'upcoming', isNext: false});
+    });
+
+    test('counts down in hours and minutes on the last day', () => {
+        const [flightOut] = getCountdowns([FLIGHT_OUT], at('2026-12-11T20:05'));
+        expect(flightOut.status).toBe('upcoming');
+        expect(flightOut.diff).toEqual({hours: 14, minutes: 30});
+    });
+
+    test('counts up in hours and minutes right after an event', () => {
+        const [flightBack] = getCountdowns([FLIGHT_BACK], DateTime.fromISO('2027-01-10T01:50', {zone: 'America/Lima'}));
+        expect(flightBack.status).toBe('past');
+        expect(flightBack.diff).toEqual({hours: 6, minutes: 30});
+    });
+
+    test('celebrates yearly events all day', () => {
+        const [birthday] = getCountdowns([BIRTHDAY], at('2027-03-07T18:00'));
+        expect(birthday.status).toBe('today');
+    });
+});
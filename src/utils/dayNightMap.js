@@ -0,0 +1,55 @@
+// Day/night shading of an equirectangular world map on the CPU, for the 2D fallback of the globe.
+
+/**
+ * Blends a day and a night image pixel by pixel, depending on the height of the sun at each pixel.
+ * Uses the same twilight band as the globe's shader: a smooth transition while the sun is within about
+ * 6° of the horizon.
+ * @param {ImageData} day - The day image, equirectangular (-180° at the left edge, 90° at the top).
+ * @param {ImageData} night - The night image, of the same size.
+ * @param {ImageData} output - Receives the blended image, of the same size.
+ * @param {{latitude: number, longitude: number}} subsolarPoint - Where the sun is in the zenith (see solarPosition.js).
+ */
+export function shadeDayNight(day, night, output, subsolarPoint) {
+    const {width, height} = output;
+    const toRad = Math.PI / 180;
+    const sinDeclination = Math.sin(subsolarPoint.latitude * toRad);
+    const cosDeclination = Math.cos(subsolarPoint.latitude * toRad);
+
+    // cos(hour angle) only depends on the column, so it is calculated once per column
+    const cosHourAngles = Array.from({length: width}, (_, x) => {
+        const longitude = (x + 0.5) / width * 360 - 180;
+        return Math.cos((longitude - subsolarPoint.longitude) * toRad);
+    });
+
+    for (let y = 0; y < height; y++) {
+        const latitude = 90 - (y + 0.5) / height * 180;
+        const sinLatitude = Math.sin(latitude * toRad);
+        const cosLatitude = Math.cos(latitude * toRad);
+
+        for (let x = 0; x < width; x++) {
+            // Cosine of the solar zenith angle, i.e. the sine of the sun's elevation
+            const intensity = sinLatitude * sinDeclination + cosLatitude * cosDeclination * cosHourAngles[x];
+            const t = Math.min(1, Math.max(0, (intensity + 0.1) / 0.2));
+            const blend = t * t * (3 - 2 * t); // smoothstep(-0.1, 0.1, intensity)
+
+            const idx = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                output.data[idx + channel] = night.data[idx + channel] + (day.data[idx + channel] - night.data[idx + channel]) * blend;
+            }
+            output.data[idx + 3] = 255;
+        }
+    }
+}
+
+/**
+ * Converts coordinates into a position on an equirectangular map.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @returns {{x: number, y: number}} The position as fractions of the map's width and height (0 to 1).
+ */
+export function toMapPosition(latitude, longitude) {
+    return {
+        x: ((longitude + 180) % 360 + 360) % 360 / 360,
+        y: (90 - latitude) / 180,
+    };
+}
@@ -0,0 +1,48 @@
+// Options of the embeddable dashboard (the /embed page and the <tambopata-dashboard> element), read from the query string.
+import {PREFERENCE_OPTIONS} from './preferences.js';
+
+// The components the embed can show, in the order they are layered (the globe is the background).
+export const EMBED_PANELS = ['clock', 'globe'];
+
+// 'dark' has the black background of the main page, 'transparent' shows the page the embed is placed on.
+export const EMBED_THEMES = ['dark', 'transparent'];
+
+// Shorthands of the `units` parameter.
+const UNIT_PRESETS = {
+    metric: {temperatureUnit: 'celsius', distanceUnit: 'km'},
+    imperial: {temperatureUnit: 'fahrenheit', distanceUnit: 'mi'},
+};
+
+/**
+ * Parses the query string of an embed URL, e.g. "?locations=Dresden&units=imperial&panels=clock&theme=transparent".
+ * Besides `locations`, `panels`, `theme` and `units`, every preference can be set by its key
+ * (e.g. `language=de`, `hourCycle=12h`, `weatherOverlay=wind`). Unknown names and invalid values are ignored.
+ * @param {string} search - The query string.
+ * @param {Array<{name: string}>} locations - The configured locations.
+ * @returns {{locations: Array<object>, panels: string[], theme: string, preferences: object}} The locations to show
+ *          (a comma-separated list of names, case-insensitive; all if none is given), the panels (all if none is given),
+ *          the theme, and the preferences to use instead of the stored ones.
+ */
+export function parseEmbedOptions(search, locations) {
+    const params = new URLSearchParams(search);
+    const list = (key) => (params.get(key) || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+    const names = list('locations');
+    const selected = locations.filter(location => names.includes(location.name.toLowerCase()));
+    const panels = EMBED_PANELS.filter(panel => list('panels').includes(panel));
+
+    const preferences = {...UNIT_PRESETS[params.get('units')]};
+    Object.keys(PREFERENCE_OPTIONS).forEach(key => {
+        const value = params.get(key);
+        if (PREFERENCE_OPTIONS[key].some(option => option.value === value)) {
+            preferences[key] = value;
+        }
+    });
+
+    return {
+        locations: selected.length > 0 ? selected : locations,
+        panels: panels.length > 0 ? panels : EMBED_PANELS,
+        theme: EMBED_THEMES.includes(params.get('theme')) ? params.get('theme') : EMBED_THEMES[0],
+        preferences,
+    };
+}
@@ -0,0 +1,76 @@
+// Fetch helpers with timeouts and retries, used for the weather API and cloud imagery requests.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fetches a URL and aborts the request if it (including reading the body) takes longer than `timeout`.
+ * Non-2xx responses are rejected with an error carrying the HTTP `status`.
+ * @param {string} url - The URL to fetch.
+ * @param {{timeout?: number, fetchFn?: Function, cache?: string}} [options] - Timeout in milliseconds, the fetch
+ *        implementation and the request's cache mode.
+ * @param {Function} [read] - Reads the response, e.g. `res => res.blob()`.
+ * @returns {Promise<any>} The result of `read`, or the response itself.
+ */
+export async function fetchWithTimeout(url, {timeout = 10000, fetchFn = fetch, cache} = {}, read = (res) => res) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const res = await fetchFn(url, cache ? {signal: controller.signal, cache} : {signal: controller.signal});
+        if (!res.ok) {
+            const error = new Error(`API request failed with status ${res.status}`);
+            error.status = res.status;
+            throw error;
+        }
+        return await read(res);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`API request timed out after ${timeout} ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Fetches JSON and aborts the request if it takes longer than `timeout`.
+ * Non-2xx responses are rejected with an error carrying the HTTP `status`.
+ * @param {string} url - The URL to fetch.
+ * @param {{timeout?: number, fetchFn?: Function}} [options] - Timeout in milliseconds and the fetch implementation.
+ * @returns {Promise<any>} The parsed JSON body.
+ */
+export function fetchJsonWithTimeout(url, options) {
+    return fetchWithTimeout(url, options, res => res.json());
+}
+
+/**
+ * Network errors, timeouts, rate limits and server errors are worth retrying; other HTTP errors are not.
+ * @param {Error & {status?: number}} error - The error of a failed attempt.
+ * @returns {boolean} True if the request should be retried.
+ */
+function isRetryable(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Runs an async task and retries it with exponential backoff and full jitter.
+ * The n-th retry waits a random time between 0 and min(maxDelay, baseDelay * 2^n).
+ * @param {Function} task - Returns a promise; called once per attempt.
+ * @param {{retries?: number, baseDelay?: number, maxDelay?: number, onRetry?: Function}} [options]
+ *        Number of retries, delays in milliseconds and a callback `(error, attempt, delay)` before each retry.
+ * @returns {Promise<any>} The result of the first successful attempt.
+ */
+export async function retryWithBackoff(task, {retries = 3, baseDelay = 1000, maxDelay = 8000, onRetry} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+
+            const delay = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,126 @@
+// Formatting of raw values according to the user's preferences (see preferences.js).
+import {DateTime} from 'luxon';
+import {translate} from './i18n.js';
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+
+/**
+ * Converts a temperature from Celsius into the preferred unit.
+ * @param {number} celsius - The temperature in °C.
+ * @param {{temperatureUnit: string}} preferences - The user preferences.
+ * @returns {number} The temperature in the preferred unit.
+ */
+export function convertTemperature(celsius, preferences) {
+    return preferences.temperatureUnit === 'fahrenheit' ? celsius * 9 / 5 + 32 : celsius;
+}
+
+/**
+ * Formats a temperature, e.g. "21°C" or "70°F".
+ * @param {number|null} celsius - The temperature in °C.
+ * @param {{temperatureUnit: string}} preferences - The user preferences.
+ * @returns {string} The rounded temperature with its unit, or "N/A".
+ */
+export function formatTemperature(celsius, preferences) {
+    if (typeof celsius !== 'number') return 'N/A';
+    const symbol = preferences.temperatureUnit === 'fahrenheit' ? '°F' : '°C';
+    return `${Math.round(convertTemperature(celsius, preferences))}${symbol}`;
+}
+
+/**
+ * Formats a temperature with the difference to the apparent temperature, e.g. "21°C (+2°C)".
+ * The difference is left out if both round to the same value.
+ * @param {number|null} celsius - The temperature in °C.
+ * @param {number|null} apparentCelsius - The apparent ("feels like") temperature in °C.
+ * @param {{temperatureUnit: string}} preferences - The user preferences.
+ * @returns {string} The formatted temperature.
+ */
+export function formatTemperatureWithApparent(celsius, apparentCelsius, preferences) {
+    const temperature = formatTemperature(celsius, preferences);
+    if (typeof celsius !== 'number' || typeof apparentCelsius !== 'number') return temperature;
+
+    const diff = Math.round(convertTemperature(apparentCelsius, preferences)) - Math.round(convertTemperature(celsius, preferences));
+    if (diff === 0) return temperature;
+
+    const symbol = preferences.temperatureUnit === 'fahrenheit' ? '°F' : '°C';
+    return `${temperature} (${diff > 0 ? `+${diff}` : diff}${symbol})`;
+}
+
+/**
+ * Formats a distance in the preferred unit, e.g. "10,643 km" or "6,613 mi".
+ * @param {number} km - The distance in kilometers.
+ * @param {{distanceUnit: string, language: string}} preferences - The user preferences.
+ * @returns {string} The rounded distance with its unit.
+ */
+export function formatDistance(km, preferences) {
+    const miles = preferences.distanceUnit === 'mi';
+    const value = Math.round(miles ? km / KM_PER_MILE : km);
+    return `${value.toLocaleString(preferences.language)} ${miles ? 'mi' : 'km'}`;
+}
+
+/**
+ * Formats a wind speed in the unit matching the preferred distance unit, e.g. "25 km/h" or "16 mph".
+ * @param {number} kmh - The wind speed in km/h.
+ * @param {{distanceUnit: string, language: string}} preferences - The user preferences.
+ * @returns {string} The rounded wind speed with its unit.
+ */
+export function formatWindSpeed(kmh, preferences) {
+    const miles = preferences.distanceUnit === 'mi';
+    const value = Math.round(miles ? kmh / KM_PER_MILE : kmh);
+    return `${value.toLocaleString(preferences.language)} ${miles ? 'mph' : 'km/h'}`;
+}
+
+/**
+ * Formats an amount of precipitation in the unit matching the preferred distance unit, e.g. "2.4 mm" or "0.09 in".
+ * @param {number|null} mm - The precipitation in millimeters.
+ * @param {{distanceUnit: string, language: string}} preferences - The user preferences.
+ * @returns {string} The rounded precipitation with its unit, or "N/A".
+ */
+export function formatPrecipitation(mm, preferences) {
+    if (typeof mm !== 'number') return 'N/A';
+    const inches = preferences.distanceUnit === 'mi';
+    const value = inches ? mm / MM_PER_INCH : mm;
+    return `${value.toLocaleString(preferences.language, {maximumFractionDigits: inches ? 2 : 1})} ${inches ? 'in' : 'mm'}`;
+}
+
+/**
+ * Formats the time of day of a Luxon DateTime in the preferred clock format, e.g. "18:02" or "6:02 PM".
+ * @param {import('luxon').DateTime} time - The time to format.
+ * @param {{hourCycle: string, language: string}} preferences - The user preferences.
+ * @returns {string} The formatted time.
+ */
+export function formatClockTime(time, preferences) {
+    return time.setLocale(preferences.language).toFormat(preferences.hourCycle === '12h' ? 'h:mm a' : 'HH:mm');
+}
+
+/**
+ * Formats a Luxon DateTime with a Luxon format string in the preferred language, e.g. "ccc d" → "Mo. 3".
+ * @param {import('luxon').DateTime} time - The date to format.
+ * @param {string} format - A Luxon format string.
+ * @param {{language: string}} preferences - The user preferences.
+ * @returns {string} The formatted date.
+ */
+export function formatLocalized(time, format, preferences) {
+    return time.setLocale(preferences.language).toFormat(format);
+}
+
+/**
+ * Formats a structured sun event (see weatherService.js) as e.g. "🌇 sunset at 18:02 · in 2:13".
+ * Events that are not within the next day (polar day/night) show their date instead.
+ * @param {{type: string|null, icon: string, at: string|null, remaining: import('luxon').Duration|null}} sun - The sun event.
+ * @param {{hourCycle: string, language: string}} preferences - The user preferences.
+ * @returns {string} The formatted sun event.
+ */
+export function formatSunEvent(sun, preferences) {
+    if (!sun.type) return `${sun.icon} --:--`;
+
+    const {language} = preferences;
+    const at = DateTime.fromISO(sun.at, {setZone: true});
+    const inOneDay = sun.remaining.as('hours') < 24;
+    const when = inOneDay
+        ? translate(language, 'sun.at', {time: formatClockTime(at, preferences)})
+        : translate(language, 'sun.on', {date: formatLocalized(at, 'd LLL', preferences)});
+    const remaining = inOneDay ? sun.remaining.toFormat('h:mm') : `${Math.floor(sun.remaining.as('days'))} d`;
+
+    return `${sun.icon} ${translate(language, `sun.${sun.type}`)} ${when} · ${translate(language, 'sun.in', {time: remaining})}`;
+}
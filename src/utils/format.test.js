@@ -0,0 +1,31 @@
+import {describe, expect, test} from 'vitest';
+import {formatDistance, formatPrecipitation, formatWindSpeed} from './format.js';
+
+const METRIC = {distanceUnit: 'km', language: 'en'};
+const IMPERIAL = {distanceUnit: 'mi', language: 'en'};
+
+describe('formatPrecipitation', () => {
+    test('shows millimeters to a tenth', () => {
+        expect(formatPrecipitation(12.6, METRIC)).toBe('12.6 mm');
+        expect(formatPrecipitation(0, METRIC)).toBe('0 mm');
+        expect(formatPrecipitation(2.5, {...METRIC, language: 'de'})).toBe('2,5 mm');
+    });
+
+    test('shows inches to a hundredth with the imperial distance unit', () => {
+        expect(formatPrecipitation(12.6, IMPERIAL)).toBe('0.5 in');
+        expect(formatPrecipitation(25.4, IMPERIAL)).toBe('1 in');
+        expect(formatPrecipitation(2.3, IMPERIAL)).toBe('0.09 in');
+    });
+
+    test('is N/A without a value', () => {
+        expect(formatPrecipitation(null, METRIC)).toBe('N/A');
+    });
+});
+
+describe('formatDistance and formatWindSpeed', () => {
+    test('follow the distance unit', () => {
+        expect(formatDistance(10643.17, METRIC)).toBe('10,643 km');
+        expect(formatDistance(10643.17, IMPERIAL)).toBe('6,613 mi');
+        expect(formatWindSpeed(25, IMPERIAL)).toBe('16 mph');
+    });
+});
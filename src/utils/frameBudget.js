@@ -0,0 +1,58 @@
+// Adaptive rendering quality for the globe: measures the frame time and steps the quality level down when frames
+// take too long, and back up once there has been headroom for a while.
+
+/**
+ * Quality levels from best to cheapest. `pixelRatio` is capped by the device's pixel ratio and `cloudSegments`
+ * is the number of width and height segments of the cloud sphere.
+ */
+export const QUALITY_LEVELS = [
+    {pixelRatio: 2, cloudSegments: 75},
+    {pixelRatio: 1.5, cloudSegments: 64},
+    {pixelRatio: 1, cloudSegments: 48},
+    {pixelRatio: 0.75, cloudSegments: 32},
+];
+
+/**
+ * Creates a monitor that is fed with the timestamps of consecutive frames.
+ * Only frames that follow each other directly are measured, so pauses of an on-demand render loop do not count.
+ * @param {{budgetMs?: number, headroomMs?: number, sampleSize?: number, upgradeDelayMs?: number, maxGapMs?: number}} [options]
+ *        The average frame time above which the quality is lowered (default 30 fps), the one below which it may be
+ *        raised again (default 55 fps), the number of frames averaged, how long after the last downgrade an upgrade
+ *        is tried, and the longest gap between two frames that still counts as consecutive.
+ * @returns {{level: number, recordFrame: Function}} `recordFrame(timestamp)` returns the new level index if it
+ *          changed, otherwise null. `level` is the current index into QUALITY_LEVELS.
+ */
+export function createFrameMonitor({budgetMs = 1000 / 30, headroomMs = 1000 / 55, sampleSize = 60, upgradeDelayMs = 30 * 1000, maxGapMs = 250} = {}) {
+    let lastFrame = null;
+    let lastDowngrade = -Infinity;
+    let total = 0;
+    let count = 0;
+
+    const monitor = {
+        level: 0,
+        recordFrame(timestamp) {
+            const gap = lastFrame === null ? Infinity : timestamp - lastFrame;
+            lastFrame = timestamp;
+            if (gap > maxGapMs) return null;
+
+            total += gap;
+            count++;
+            if (count < sampleSize) return null;
+
+            const average = total / count;
+            total = 0;
+            count = 0;
+
+            if (average > budgetMs && monitor.level < QUALITY_LEVELS.length - 1) {
+                lastDowngrade = timestamp;
+                return ++monitor.level;
+            }
+            if (average < headroomMs && monitor.level > 0 && timestamp - lastDowngrade > upgradeDelayMs) {
+                return --monitor.level;
+            }
+            return null;
+        },
+    };
+
+    return monitor;
+}
@@ -0,0 +1,221 @@
+import {DateTime} from 'luxon';
+
+// Mean earth radius (IUGG) in kilometers, used by the spherical formulas.
+export const EARTH_RADIUS_KM = 6371.0088;
+
+// WGS-84 ellipsoid parameters, used by Vincenty's formula.
+const WGS84 = {
+    a: 6378.137, // Semi-major axis in kilometers
+    f: 1 / 298.257223563, // Flattening
+};
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points on a spherical earth (haversine formula).
+ * @param {{latitude: number, longitude: number}} from - Start point in degrees.
+ * @param {{latitude: number, longitude: number}} to - End point in degrees.
+ * @returns {number} The distance in kilometers.
+ */
+export function haversineDistance(from, to) {
+    const phi1 = toRad(from.latitude);
+    const phi2 = toRad(to.latitude);
+    const deltaPhi = toRad(to.latitude - from.latitude);
+    const deltaLambda = toRad(to.longitude - from.longitude);
+
+    const a = Math.sin(deltaPhi / 2) ** 2 +
+        Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Geodesic distance between two points on the WGS-84 ellipsoid (Vincenty's inverse formula).
+ * Falls back to the haversine distance for nearly antipodal points where the iteration does not converge.
+ * @param {{latitude: number, longitude: number}} from - Start point in degrees.
+ * @param {{latitude: number, longitude: number}} to - End point in degrees.
+ * @returns {number} The distance in kilometers.
+ */
+export function vincentyDistance(from, to) {
+    const {a, f} = WGS84;
+    const b = a * (1 - f);
+
+    const L = toRad(to.longitude - from.longitude);
+    const U1 = Math.atan((1 - f) * Math.tan(toRad(from.latitude)));
+    const U2 = Math.atan((1 - f) * Math.tan(toRad(to.latitude)));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+    for (let i = 0; i < 200; i++) {
+        const sinLambda = Math.sin(lambda);
+        const cosLambda = Math.cos(lambda);
+
+        sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+        if (sinSigma === 0) return 0; // Coincident points
+
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha ** 2;
+        // On the equator cosSqAlpha is 0 and cos2SigmaM is undefined
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+
+        const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+        const lambdaPrev = lambda;
+        lambda = L + (1 - C) * f * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+        if (Math.abs(lambda - lambdaPrev) < 1e-12) {
+            const uSq = cosSqAlpha * (a ** 2 - b ** 2) / b ** 2;
+            const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+            const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+                cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)
+            ));
+
+            return b * A * (sigma - deltaSigma);
+        }
+    }
+
+    console.warn('Vincenty formula did not converge, falling back to haversine distance.');
+    return haversineDistance(from, to);
+}
+
+/**
+ * Initial bearing (forward azimuth) of the great circle from one point to another.
+ * @param {{latitude: number, longitude: number}} from - Start point in degrees.
+ * @param {{latitude: number, longitude: number}} to - End point in degrees.
+ * @returns {number} The bearing in degrees clockwise from north (0–360).
+ */
+export function initialBearing(from, to) {
+    const phi1 = toRad(from.latitude);
+    const phi2 = toRad(to.latitude);
+    const deltaLambda = toRad(to.longitude - from.longitude);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point at a fraction of the way along the great circle from one point to another (spherical earth).
+ * @param {{latitude: number, longitude: number}} from - Start point in degrees.
+ * @param {{latitude: number, longitude: number}} to - End point in degrees.
+ * @param {number} fraction - 0 for the start point, 1 for the end point, 0.5 for the midpoint.
+ * @returns {{latitude: number, longitude: number}} The point in degrees.
+ */
+export function intermediatePoint(from, to, fraction) {
+    const delta = haversineDistance(from, to) / EARTH_RADIUS_KM; // Central angle
+    if (delta === 0) return {latitude: from.latitude, longitude: from.longitude};
+
+    const phi1 = toRad(from.latitude);
+    const phi2 = toRad(to.latitude);
+    const lambda1 = toRad(from.longitude);
+    const lambda2 = toRad(to.longitude);
+    const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+    const b = Math.sin(fraction * delta) / Math.sin(delta);
+
+    const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+    const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+    const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+    return {
+        latitude: toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+        longitude: toDeg(Math.atan2(y, x)),
+    };
+}
+
+/**
+ * Converts a bearing into one of the eight compass directions.
+ * @param {number} bearing - The bearing in degrees.
+ * @returns {string} A compass direction like "NE".
+ */
+export function compassDirection(bearing) {
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return directions[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Difference of the UTC offsets of two timezones at a given instant.
+ * Both offsets are resolved for that exact instant, so DST on either side is taken into account.
+ * @param {string} fromZone - IANA timezone of the reference location (e.g., "America/Lima").
+ * @param {string} toZone - IANA timezone of the other location (e.g., "Europe/Berlin").
+ * @param {DateTime} [at] - The instant to compare at. Defaults to now.
+ * @returns {number} How many hours `toZone` is ahead of `fromZone` (may be fractional or negative).
+ */
+export function timezoneOffsetDifference(fromZone, toZone, at = DateTime.now()) {
+    return (at.setZone(toZone).offset - at.setZone(fromZone).offset) / 60;
+}
+
+/**
+ * Finds the next instant at which the offset difference between two timezones changes,
+ * i.e. the next DST transition on either side that is not matched by the other side.
+ * @param {string} fromZone - IANA timezone of the reference location.
+ * @param {string} toZone - IANA timezone of the other location.
+ * @param {DateTime} [from] - Where to start searching. Defaults to now.
+ * @param {number} [maxDays] - How far ahead to search.
+ * @returns {{at: DateTime, hours: number}|null} When the difference changes and its new value, or null if it does not change within `maxDays`.
+ */
+export function nextOffsetDifferenceChange(fromZone, toZone, from = DateTime.now(), maxDays = 366) {
+    const current = timezoneOffsetDifference(fromZone, toZone, from);
+
+    // 1. Step forward a day at a time to find the day containing the change
+    let lower = from.toMillis();
+    let upper = null;
+    for (let day = 1; day <= maxDays; day++) {
+        const candidate = from.plus({days: day});
+        if (timezoneOffsetDifference(fromZone, toZone, candidate) !== current) {
+            upper = candidate.toMillis();
+            break;
+        }
+        lower = candidate.toMillis();
+    }
+
+    if (upper === null) return null;
+
+    // 2. Narrow it down to the minute with a binary search
+    while (upper - lower > 60 * 1000) {
+        const middle = Math.floor((lower + upper) / 2);
+        if (timezoneOffsetDifference(fromZone, toZone, DateTime.fromMillis(middle)) === current) {
+            lower = middle;
+        } else {
+            upper = middle;
+        }
+    }
+
+    const at = DateTime.fromMillis(upper).startOf('minute');
+    return {at, hours: timezoneOffsetDifference(fromZone, toZone, at)};
+}
+
+/**
+ * Computes distance, bearing and time difference for every pair of locations.
+ * @param {Array<{name: string, timezone: string, latitude: number, longitude: number}>} locations - The configured locations.
+ * @param {DateTime} [at] - The instant used for the time difference. Defaults to now.
+ * @returns {Array<{from: object, to: object, distanceKm: number, bearing: number, hours: number, nextChange: ({at: DateTime, hours: number}|null)}>}
+ */
+export function getLocationPairs(locations, at = DateTime.now()) {
+    const pairs = [];
+
+    for (let i = 0; i < locations.length; i++) {
+        for (let j = i + 1; j < locations.length; j++) {
+            const from = locations[i];
+            const to = locations[j];
+            pairs.push({
+                from,
+                to,
+                distanceKm: vincentyDistance(from, to),
+                bearing: initialBearing(from, to),
+                hours: timezoneOffsetDifference(from.timezone, to.timezone, at),
+                nextChange: nextOffsetDifferenceChange(from.timezone, to.timezone, at),
+            });
+        }
+    }
+
+    return pairs;
+}
@@ -0,0 +1,90 @@
+import {describe, expect, test} from 'vitest';
+import {DateTime} from 'luxon';
+import {
+    compassDirection,
+    getLocationPairs,
+    haversineDistance,
+    initialBearing,
+    nextOffsetDifferenceChange,
+    timezoneOffsetDifference,
+    vincentyDistance,
+} from './geodesy.js';
+
+const DRESDEN = {name: 'Dresden', latitude: 51.0504, longitude: 13.7373, timezone: 'Europe/Berlin'};
+const TAMBOPATA = {name: 'Tambopata', latitude: -12.8617, longitude: -69.4948, timezone: 'America/Lima'};
+
+const dms = (degrees, minutes, seconds) => Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+
+describe('vincentyDistance', () => {
+    test('matches Vincenty\'s Flinders Peak to Buninyong example', () => {
+        const flindersPeak = {latitude: dms(-37, 57, 3.7203), longitude: dms(144, 25, 29.5244)};
+        const buninyong = {latitude: dms(-37, 39, 10.1561), longitude: dms(143, 55, 35.3839)};
+        // 54 972.271 m
+        expect(vincentyDistance(flindersPeak, buninyong)).toBeCloseTo(54.972271, 5);
+    });
+
+    test('matches GeographicLib for Dresden to Tambopata', () => {
+        // GeographicLib Inverse on WGS84: 10 643 168.30 m
+        expect(vincentyDistance(DRESDEN, TAMBOPATA)).toBeCloseTo(10643.1683, 3);
+    });
+
+    test('is within half a percent of the great circle distance', () => {
+        const haversine = haversineDistance(DRESDEN, TAMBOPATA);
+        expect(Math.abs(haversine - vincentyDistance(DRESDEN, TAMBOPATA)) / haversine).toBeLessThan(0.005);
+    });
+});
+
+describe('initialBearing', () => {
+    test('heads west-southwest from Dresden to Tambopata', () => {
+        // Great circle on the sphere; GeographicLib's ellipsoidal azimuth is 256.84°
+        const bearing = initialBearing(DRESDEN, TAMBOPATA);
+        expect(bearing).toBeCloseTo(256.68, 2);
+        expect(compassDirection(bearing)).toBe('W');
+    });
+});
+
+describe('timezoneOffsetDifference', () => {
+    test('follows the end of summer time in Berlin on 2026-10-25', () => {
+        expect(timezoneOffsetDifference('America/Lima', 'Europe/Berlin', DateTime.fromISO('2026-10-25T00:59:00Z'))).toBe(7);
+        expect(timezoneOffsetDifference('America/Lima', 'Europe/Berlin', DateTime.fromISO('2026-10-25T01:00:00Z'))).toBe(6);
+        expect(timezoneOffsetDifference('Europe/Berlin', 'America/Lima', DateTime.fromISO('2026-10-25T01:00:00Z'))).toBe(-6);
+    });
+
+    test('keeps half hours', () => {
+        expect(timezoneOffsetDifference('Europe/Berlin', 'Asia/Kolkata', DateTime.fromISO('2026-07-01T00:00:00Z'))).toBe(3.5);
+    });
+});
+
+describe('nextOffsetDifferenceChange', () => {
+    test('finds the end of summer time in Berlin to the minute', () => {
+        const change = nextOffsetDifferenceChange('America/Lima', 'Europe/Berlin', DateTime.fromISO('2026-10-18T12:00:00Z'));
+        expect(change.at.toUTC().toISO()).toBe('2026-10-25T01:00:00.000Z');
+        expect(change.hours).toBe(6);
+    });
+
+    test('finds the changes of both zones when they differ', () => {
+        const first = nextOffsetDifferenceChange('America/New_York', 'Europe/Berlin', DateTime.fromISO('2026-03-01T00:00:00Z'));
+        expect(first.at.toUTC().toISO()).toBe('2026-03-08T07:00:00.000Z');
+        expect(first.hours).toBe(5);
+
+        const second = nextOffsetDifferenceChange('America/New_York', 'Europe/Berlin', first.at);
+        expect(second.at.toUTC().toISO()).toBe('2026-03-29T01:00:00.000Z');
+        expect(second.hours).toBe(6);
+    });
+
+    test('is null when neither zone changes', () => {
+        expect(nextOffsetDifferenceChange('America/Lima', 'Asia/Kolkata', DateTime.fromISO('2026-03-01T00:00:00Z'))).toBeNull();
+    });
+});
+
+describe('getLocationPairs', () => {
+    test('pairs every location once with distance and time difference', () => {
+        const pairs = getLocationPairs([DRESDEN, TAMBOPATA], DateTime.fromISO('2026-10-18T12:00:00Z'));
+        expect(pairs).toHaveLength(1);
+
+        const [pair] = pairs;
+        expect(pair).toMatchObject({from: DRESDEN, to: TAMBOPATA, hours: -7});
+        expect(pair.distanceKm).toBeCloseTo(10643.1683, 3);
+        expect(pair.nextChange.hours).toBe(-6);
+    });
+});
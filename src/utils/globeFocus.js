@@ -0,0 +1,29 @@
+// Focusing a location on the globe. The focused location is kept in the URL hash (e.g. "#Dresden"),
+// so a view can be linked to and the globe and Clock islands only need to watch `hashchange`.
+
+/**
+ * Finds the location named in the URL hash, ignoring case.
+ * @param {Array<{name: string}>} locations - The configured locations.
+ * @returns {object|null} The location, or null if the hash names none.
+ */
+export function getFocusedLocation(locations) {
+    if (typeof window === 'undefined') return null;
+
+    const name = decodeURIComponent(window.location.hash.slice(1)).toLowerCase();
+    return locations.find(location => location.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Focuses a location on the globe by updating the URL hash.
+ * Focusing the location that is already in the hash flies there again.
+ * @param {string} name - The location name.
+ */
+export function focusLocation(name) {
+    const hash = `#${encodeURIComponent(name)}`;
+
+    if (window.location.hash === hash) {
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+    } else {
+        window.location.hash = hash;
+    }
+}
@@ -0,0 +1,257 @@
+// UI texts for all supported languages. Location and event labels come from config.js and are not translated.
+
+const MESSAGES = {
+    en: {
+        'countdown.in': 'in {time}.',
+        'countdown.ago': '{time} ago.',
+        'countdown.today': 'today! 🎉',
+        'unit.month': ['month', 'months'],
+        'unit.week': ['week', 'weeks'],
+        'unit.day': ['day', 'days'],
+        'unit.hour': ['hour', 'hours'],
+        'unit.minute': ['minute', 'minutes'],
+        'sun.sunrise': 'sunrise',
+        'sun.sunset': 'sunset',
+        'sun.at': 'at {time}',
+        'sun.on': 'on {date}',
+        'sun.in': 'in {time}',
+        'goldenHour.in': 'in {time}',
+        'goldenHour.endsIn': 'ends in {time}',
+        'moon.riseIn': 'moonrise in {time}',
+        'moon.setIn': 'moonset in {time}',
+        'moon.illuminated': '{percent}% illuminated',
+        'moon.phase.new': 'New moon',
+        'moon.phase.waxingCrescent': 'Waxing crescent',
+        'moon.phase.firstQuarter': 'First quarter',
+        'moon.phase.waxingGibbous': 'Waxing gibbous',
+        'moon.phase.full': 'Full moon',
+        'moon.phase.waningGibbous': 'Waning gibbous',
+        'moon.phase.lastQuarter': 'Last quarter',
+        'moon.phase.waningCrescent': 'Waning crescent',
+        'sunTimes.dawn': 'Dawn',
+        'sunTimes.sunrise': 'Sunrise',
+        'sunTimes.solarNoon': 'Solar noon',
+        'sunTimes.sunset': 'Sunset',
+        'sunTimes.dusk': 'Dusk',
+        'sunTimes.dayLength': 'Day length',
+        'pair.from': 'from {date}',
+        'forecast.none': 'No forecast available.',
+        'weather.unavailable': 'weather unavailable',
+        'status.updated': 'last updated {time}',
+        'status.offline': 'offline',
+        'status.none': 'no weather data yet',
+        'timeline.range': 'Time range',
+        'timeline.day': 'Day',
+        'timeline.year': 'Year',
+        'timeline.scrub': 'Simulated time',
+        'timeline.backward': 'Play backwards',
+        'timeline.forward': 'Play forwards',
+        'timeline.speed': 'Speed',
+        'timeline.live': 'Back to live',
+        'timeline.followClock': 'Clock follows',
+        'timeline.simulated': 'simulated time',
+        'preferences.temperatureUnit': 'Temperature',
+        'preferences.distanceUnit': 'Distance',
+        'preferences.hourCycle': 'Clock',
+        'alert.heat': 'Heat up to {value}',
+        'alert.frost': 'Frost down to {value}',
+        'alert.heavyPrecipitation': 'Heavy precipitation up to {value} mm/h',
+        'alert.storm': 'Thunderstorm',
+        'alert.stormSevere': 'Thunderstorm with hail',
+        'alert.from': 'from {time}',
+        'alert.until': 'until {time}',
+        'clouds.captured': 'clouds captured {time}',
+        'clouds.fallback': 'clouds unavailable, showing a stored image',
+        'preferences.language': 'Language',
+        'preferences.notifications': 'Weather alert notifications',
+        'preferences.cameraMode': 'Globe camera: manual, follow the dusk line, or tour',
+        'preferences.weatherOverlay': 'Globe overlay: none, temperature, precipitation or wind',
+        'preferences.rendering': 'Globe rendering: smooth animation or battery saver',
+        'overlay.temperature': 'Temperature',
+        'overlay.precipitation': 'Precipitation (last 15 min)',
+        'overlay.wind': 'Wind speed',
+        'overlay.unavailable': 'weather data unavailable',
+        'globe.unsupported': 'WebGL is not available, showing a flat map',
+        'globe.contextLost': 'The 3D view was interrupted, showing a flat map until it is back',
+        'globe.textures': 'The globe could not be loaded, showing a flat map',
+        'pin.close': 'Close',
+        'location.focus': 'Show on the globe',
+    },
+    de: {
+        'countdown.in': 'in {time}.',
+        'countdown.ago': 'vor {time}.',
+        'countdown.today': 'heute! 🎉',
+        'unit.month': ['Monat', 'Monaten'],
+        'unit.week': ['Woche', 'Wochen'],
+        'unit.day': ['Tag', 'Tagen'],
+        'unit.hour': ['Stunde', 'Stunden'],
+        'unit.minute': ['Minute', 'Minuten'],
+        'sun.sunrise': 'Sonnenaufgang',
+        'sun.sunset': 'Sonnenuntergang',
+        'sun.at': 'um {time}',
+        'sun.on': 'am {date}',
+        'sun.in': 'in {time}',
+        'goldenHour.in': 'in {time}',
+        'goldenHour.endsIn': 'endet in {time}',
+        'moon.riseIn': 'Mondaufgang in {time}',
+        'moon.setIn': 'Monduntergang in {time}',
+        'moon.illuminated': '{percent}% beleuchtet',
+        'moon.phase.new': 'Neumond',
+        'moon.phase.waxingCrescent': 'Zunehmende Sichel',
+        'moon.phase.firstQuarter': 'Erstes Viertel',
+        'moon.phase.waxingGibbous': 'Zunehmender Mond',
+        'moon.phase.full': 'Vollmond',
+        'moon.phase.waningGibbous': 'Abnehmender Mond',
+        'moon.phase.lastQuarter': 'Letztes Viertel',
+        'moon.phase.waningCrescent': 'Abnehmende Sichel',
+        'sunTimes.dawn': 'Morgendämmerung',
+        'sunTimes.sunrise': 'Sonnenaufgang',
+        'sunTimes.solarNoon': 'Sonnenhöchststand',
+        'sunTimes.sunset': 'Sonnenuntergang',
+        'sunTimes.dusk': 'Abenddämmerung',
+        'sunTimes.dayLength': 'Tageslänge',
+        'pair.from': 'ab {date}',
+        'forecast.none': 'Keine Vorhersage verfügbar.',
+        'weather.unavailable': 'Wetter nicht verfügbar',
+        'status.updated': 'aktualisiert {time}',
+        'status.offline': 'offline',
+        'status.none': 'noch keine Wetterdaten',
+        'timeline.range': 'Zeitraum',
+        'timeline.day': 'Tag',
+        'timeline.year': 'Jahr',
+        'timeline.scrub': 'Simulierte Zeit',
+        'timeline.backward': 'Rückwärts abspielen',
+        'timeline.forward': 'Vorwärts abspielen',
+        'timeline.speed': 'Geschwindigkeit',
+        'timeline.live': 'Zurück zu live',
+        'timeline.followClock': 'Uhr folgt',
+        'timeline.simulated': 'simulierte Zeit',
+        'preferences.temperatureUnit': 'Temperatur',
+        'preferences.distanceUnit': 'Entfernung',
+        'preferences.hourCycle': 'Uhr',
+        'alert.heat': 'Hitze bis {value}',
+        'alert.frost': 'Frost bis {value}',
+        'alert.heavyPrecipitation': 'Starkniederschlag bis {value} mm/h',
+        'alert.storm': 'Gewitter',
+        'alert.stormSevere': 'Gewitter mit Hagel',
+        'alert.from': 'ab {time}',
+        'alert.until': 'bis {time}',
+        'clouds.captured': 'Wolken aufgenommen {time}',
+        'clouds.fallback': 'Wolken nicht verfügbar, zeige gespeichertes Bild',
+        'preferences.language': 'Sprache',
+        'preferences.notifications': 'Benachrichtigungen bei Unwetter',
+        'preferences.cameraMode': 'Globus-Kamera: manuell, der Abenddämmerung folgen oder Rundflug',
+        'preferences.weatherOverlay': 'Globus-Ebene: keine, Temperatur, Niederschlag oder Wind',
+        'preferences.rendering': 'Globus-Darstellung: flüssige Animation oder Energiesparen',
+        'overlay.temperature': 'Temperatur',
+        'overlay.precipitation': 'Niederschlag (letzte 15 min)',
+        'overlay.wind': 'Windgeschwindigkeit',
+        'overlay.unavailable': 'Wetterdaten nicht verfügbar',
+        'globe.unsupported': 'WebGL ist nicht verfügbar, zeige eine flache Karte',
+        'globe.contextLost': 'Die 3D-Ansicht wurde unterbrochen, zeige eine flache Karte bis sie zurück ist',
+        'globe.textures': 'Der Globus konnte nicht geladen werden, zeige eine flache Karte',
+        'pin.close': 'Schließen',
+        'location.focus': 'Auf dem Globus zeigen',
+    },
+    es: {
+        'countdown.in': 'en {time}.',
+        'countdown.ago': 'hace {time}.',
+        'countdown.today': '¡hoy! 🎉',
+        'unit.month': ['mes', 'meses'],
+        'unit.week': ['semana', 'semanas'],
+        'unit.day': ['día', 'días'],
+        'unit.hour': ['hora', 'horas'],
+        'unit.minute': ['minuto', 'minutos'],
+        'sun.sunrise': 'amanecer',
+        'sun.sunset': 'atardecer',
+        'sun.at': 'a las {time}',
+        'sun.on': 'el {date}',
+        'sun.in': 'en {time}',
+        'goldenHour.in': 'en {time}',
+        'goldenHour.endsIn': 'termina en {time}',
+        'moon.riseIn': 'salida de la luna en {time}',
+        'moon.setIn': 'puesta de la luna en {time}',
+        'moon.illuminated': '{percent}% iluminada',
+        'moon.phase.new': 'Luna nueva',
+        'moon.phase.waxingCrescent': 'Luna creciente',
+        'moon.phase.firstQuarter': 'Cuarto creciente',
+        'moon.phase.waxingGibbous': 'Gibosa creciente',
+        'moon.phase.full': 'Luna llena',
+        'moon.phase.waningGibbous': 'Gibosa menguante',
+        'moon.phase.lastQuarter': 'Cuarto menguante',
+        'moon.phase.waningCrescent': 'Luna menguante',
+        'sunTimes.dawn': 'Alba',
+        'sunTimes.sunrise': 'Amanecer',
+        'sunTimes.solarNoon': 'Mediodía solar',
+        'sunTimes.sunset': 'Atardecer',
+        'sunTimes.dusk': 'Crepúsculo',
+        'sunTimes.dayLength': 'Duración del día',
+        'pair.from': 'desde el {date}',
+        'forecast.none': 'No hay pronóstico disponible.',
+        'weather.unavailable': 'clima no disponible',
+        'status.updated': 'actualizado {time}',
+        'status.offline': 'sin conexión',
+        'status.none': 'aún no hay datos meteorológicos',
+        'timeline.range': 'Periodo',
+        'timeline.day': 'Día',
+        'timeline.year': 'Año',
+        'timeline.scrub': 'Hora simulada',
+        'timeline.backward': 'Reproducir hacia atrás',
+        'timeline.forward': 'Reproducir hacia adelante',
+        'timeline.speed': 'Velocidad',
+        'timeline.live': 'Volver al directo',
+        'timeline.followClock': 'El reloj sigue',
+        'timeline.simulated': 'hora simulada',
+        'preferences.temperatureUnit': 'Temperatura',
+        'preferences.distanceUnit': 'Distancia',
+        'preferences.hourCycle': 'Reloj',
+        'alert.heat': 'Calor de hasta {value}',
+        'alert.frost': 'Helada de hasta {value}',
+        'alert.heavyPrecipitation': 'Precipitación intensa de hasta {value} mm/h',
+        'alert.storm': 'Tormenta',
+        'alert.stormSevere': 'Tormenta con granizo',
+        'alert.from': 'desde las {time}',
+        'alert.until': 'hasta las {time}',
+        'clouds.captured': 'nubes captadas {time}',
+        'clouds.fallback': 'nubes no disponibles, se muestra una imagen guardada',
+        'preferences.language': 'Idioma',
+        'preferences.notifications': 'Notificaciones de alertas meteorológicas',
+        'preferences.cameraMode': 'Cámara del globo: manual, seguir el crepúsculo o recorrido',
+        'preferences.weatherOverlay': 'Capa del globo: ninguna, temperatura, precipitación o viento',
+        'preferences.rendering': 'Representación del globo: animación fluida o ahorro de batería',
+        'overlay.temperature': 'Temperatura',
+        'overlay.precipitation': 'Precipitación (últimos 15 min)',
+        'overlay.wind': 'Velocidad del viento',
+        'overlay.unavailable': 'datos meteorológicos no disponibles',
+        'globe.unsupported': 'WebGL no está disponible, se muestra un mapa plano',
+        'globe.contextLost': 'La vista 3D se interrumpió, se muestra un mapa plano hasta que vuelva',
+        'globe.textures': 'No se pudo cargar el globo, se muestra un mapa plano',
+        'pin.close': 'Cerrar',
+        'location.focus': 'Mostrar en el globo',
+    },
+};
+
+/**
+ * Looks up a UI text and fills in its `{placeholders}`. Falls back to English for missing texts.
+ * @param {string} language - The language code (e.g., "de").
+ * @param {string} key - The message key (e.g., "sun.sunset").
+ * @param {Object<string, string|number>} [params] - Values for the placeholders.
+ * @returns {string} The translated text.
+ */
+export function translate(language, key, params = {}) {
+    const message = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+    return message.replace(/\{(\w+)}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+/**
+ * Formats a count with the singular or plural form of a unit, e.g. "1 week" or "3 Tagen".
+ * @param {string} language - The language code.
+ * @param {string} unit - The unit key ("month", "week", "day", "hour" or "minute").
+ * @param {number} count - The count; fractions are cut off.
+ * @returns {string} The count with its unit.
+ */
+export function formatCount(language, unit, count) {
+    const rounded = Math.floor(count || 0);
+    const [singular, plural] = MESSAGES[language]?.[`unit.${unit}`] ?? MESSAGES.en[`unit.${unit}`];
+    return `${rounded} ${rounded === 1 ? singular : plural}`;
+}
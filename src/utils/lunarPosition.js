@@ -0,0 +1,265 @@
+import {DateTime} from 'luxon';
+import {getSolarCoordinates, toJulianDay} from './solarPosition.js';
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+const normalizeDegrees = (deg) => ((deg % 360) + 360) % 360;
+const normalizeLongitude = (deg) => normalizeDegrees(deg + 180) - 180;
+
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.14;
+const KM_PER_AU = 149597870.7;
+
+// The eight phases by the moon's age (0 = new moon, 0.5 = full moon), with their icons as seen from the northern
+// hemisphere. South of the equator the moon is seen upside down, so a waxing moon is lit on the left (`southernIcon`).
+export const MOON_PHASES = [
+    {name: 'new', icon: '🌑', southernIcon: '🌑'},
+    {name: 'waxingCrescent', icon: '🌒', southernIcon: '🌘'},
+    {name: 'firstQuarter', icon: '🌓', southernIcon: '🌗'},
+    {name: 'waxingGibbous', icon: '🌔', southernIcon: '🌖'},
+    {name: 'full', icon: '🌕', southernIcon: '🌕'},
+    {name: 'waningGibbous', icon: '🌖', southernIcon: '🌔'},
+    {name: 'lastQuarter', icon: '🌗', southernIcon: '🌓'},
+    {name: 'waningCrescent', icon: '🌘', southernIcon: '🌒'},
+];
+
+/**
+ * Calculates the moon's geocentric coordinates from the main periodic terms of Meeus, "Astronomical Algorithms",
+ * chapter 47. Accurate to about 0.1° in longitude and 0.05° in latitude, enough for rise and set times within a
+ * minute or two.
+ * @param {DateTime} time - The instant.
+ * @returns {{longitude: number, latitude: number, rightAscension: number, declination: number, distance: number}}
+ *          Ecliptic longitude and latitude, right ascension and declination in degrees, distance in km.
+ */
+export function getLunarCoordinates(time) {
+    const T = (toJulianDay(time) - 2451545) / 36525; // Julian centuries since J2000.0
+
+    const meanLongitude = 218.3164477 + 481267.88123421 * T;
+    const D = toRad(297.8501921 + 445267.1114034 * T); // Mean elongation
+    const M = toRad(357.5291092 + 35999.0502909 * T); // Sun's mean anomaly
+    const Mm = toRad(134.9633964 + 477198.8675055 * T); // Moon's mean anomaly
+    const F = toRad(93.2720950 + 483202.0175233 * T); // Argument of latitude
+
+    const longitude = normalizeDegrees(meanLongitude +
+        6.288774 * Math.sin(Mm) +
+        1.274027 * Math.sin(2 * D - Mm) +
+        0.658314 * Math.sin(2 * D) +
+        0.213618 * Math.sin(2 * Mm) -
+        0.185116 * Math.sin(M) -
+        0.114332 * Math.sin(2 * F) +
+        0.058793 * Math.sin(2 * D - 2 * Mm) +
+        0.057066 * Math.sin(2 * D - M - Mm) +
+        0.053322 * Math.sin(2 * D + Mm) +
+        0.045758 * Math.sin(2 * D - M) -
+        0.040923 * Math.sin(M - Mm) -
+        0.034720 * Math.sin(D) -
+        0.030383 * Math.sin(M + Mm));
+
+    const latitude = 5.128122 * Math.sin(F) +
+        0.280602 * Math.sin(Mm + F) +
+        0.277693 * Math.sin(Mm - F) +
+        0.173237 * Math.sin(2 * D - F) +
+        0.055413 * Math.sin(2 * D - Mm + F) +
+        0.046271 * Math.sin(2 * D - Mm - F);
+
+    const distance = 385000.56 -
+        20905.355 * Math.cos(Mm) -
+        3699.111 * Math.cos(2 * D - Mm) -
+        2955.968 * Math.cos(2 * D) -
+        569.925 * Math.cos(2 * Mm);
+
+    const obliquity = toRad(23.439291 - 0.0130042 * T);
+    const lambda = toRad(longitude);
+    const beta = toRad(latitude);
+
+    const declination = toDeg(Math.asin(
+        Math.sin(beta) * Math.cos(obliquity) + Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda)
+    ));
+    const rightAscension = normalizeDegrees(toDeg(Math.atan2(
+        Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity),
+        Math.cos(lambda)
+    )));
+
+    return {longitude, latitude, rightAscension, declination, distance};
+}
+
+/**
+ * Greenwich mean sidereal time (Meeus 12.4).
+ * @param {DateTime} time - The instant.
+ * @returns {number} The sidereal time in degrees.
+ */
+function getSiderealTime(time) {
+    const days = toJulianDay(time) - 2451545;
+    const T = days / 36525;
+    return normalizeDegrees(280.46061837 + 360.98564736629 * days + T * T * (0.000387933 - T / 38710000));
+}
+
+/**
+ * Calculates the sublunar point, i.e. where the moon is directly overhead.
+ * @param {DateTime} [time] - The instant. Defaults to now.
+ * @returns {{latitude: number, longitude: number}} The sublunar point in degrees.
+ */
+export function getSublunarPoint(time = DateTime.utc()) {
+    const {rightAscension, declination} = getLunarCoordinates(time);
+    return {
+        latitude: declination,
+        longitude: normalizeLongitude(rightAscension - getSiderealTime(time)),
+    };
+}
+
+/**
+ * Geocentric elevation of the moon, i.e. as seen from the center of the Earth.
+ * @returns {{elevation: number, hourAngle: number, declination: number, distance: number}} Angles in degrees, distance in km.
+ */
+function getGeocentricPosition(time, latitude, longitude) {
+    const {rightAscension, declination, distance} = getLunarCoordinates(time);
+    const hourAngle = toRad(normalizeLongitude(getSiderealTime(time) + longitude - rightAscension));
+    const lat = toRad(latitude);
+    const decl = toRad(declination);
+
+    const elevation = toDeg(Math.asin(
+        Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle)
+    ));
+    return {elevation, hourAngle: toDeg(hourAngle), declination, distance};
+}
+
+/**
+ * Calculates the moon's position in the sky as seen from a location, corrected for parallax
+ * (up to 1°, since the moon is so close) but not for refraction.
+ * @param {DateTime} time - The instant.
+ * @param {number} latitude - Latitude of the observer in degrees.
+ * @param {number} longitude - Longitude of the observer in degrees (east positive).
+ * @returns {{elevation: number, azimuth: number, distance: number}} Elevation above the horizon and azimuth
+ *          clockwise from north in degrees, distance from the Earth's center in km.
+ */
+export function getLunarPosition(time, latitude, longitude) {
+    const {elevation, hourAngle, declination, distance} = getGeocentricPosition(time, latitude, longitude);
+    const parallax = Math.asin(EARTH_EQUATORIAL_RADIUS_KM / distance);
+    const H = toRad(hourAngle);
+    const lat = toRad(latitude);
+
+    const azimuth = normalizeDegrees(toDeg(Math.atan2(
+        Math.sin(H),
+        Math.cos(H) * Math.sin(lat) - Math.tan(toRad(declination)) * Math.cos(lat)
+    )) + 180);
+
+    return {
+        elevation: elevation - toDeg(Math.asin(Math.sin(parallax) * Math.cos(toRad(elevation)))),
+        azimuth,
+        distance,
+    };
+}
+
+/**
+ * Calculates the moon's phase from the elongation between moon and sun (Meeus, chapter 48).
+ * @param {DateTime} [time] - The instant. Defaults to now.
+ * @param {number} [latitude] - Latitude of the observer in degrees, which decides the hemisphere of the icon.
+ * @returns {{illumination: number, age: number, waxing: boolean, name: string, icon: string}} The illuminated fraction
+ *          of the disk (0 to 1), the age as a fraction of the lunation (0 = new moon, 0.5 = full moon), whether the
+ *          moon is waxing, and the name and icon of the phase from MOON_PHASES.
+ */
+export function getMoonPhase(time = DateTime.utc(), latitude = 0) {
+    const moon = getLunarCoordinates(time);
+    const sun = getSolarCoordinates(time);
+
+    const elongation = Math.acos(Math.cos(toRad(moon.latitude)) * Math.cos(toRad(moon.longitude - sun.longitude)));
+    const sunDistance = sun.distance * KM_PER_AU;
+    const phaseAngle = Math.atan2(sunDistance * Math.sin(elongation), moon.distance - sunDistance * Math.cos(elongation));
+
+    const age = normalizeDegrees(moon.longitude - sun.longitude) / 360;
+    const phase = MOON_PHASES[Math.round(age * 8) % 8];
+
+    return {
+        illumination: (1 + Math.cos(phaseAngle)) / 2,
+        age,
+        waxing: age < 0.5,
+        name: phase.name,
+        icon: latitude < 0 ? phase.southernIcon : phase.icon,
+    };
+}
+
+// Geocentric elevation of the moon's center at moonrise and moonset: refraction and the semi-diameter lower it,
+// the parallax raises it (Meeus 15.1).
+const getRiseElevation = (distance) => 0.7275 * toDeg(Math.asin(EARTH_EQUATORIAL_RADIUS_KM / distance)) - 0.5667;
+
+/**
+ * Finds the moonrises and moonsets in a time window by sampling the elevation every 10 minutes and refining
+ * each crossing by bisection.
+ * @param {DateTime} start - Start of the window.
+ * @param {DateTime} end - End of the window.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @param {number} [limit] - Stop searching after this many crossings.
+ * @returns {Array<{type: ('moonrise'|'moonset'), at: DateTime}>} The crossings in chronological order.
+ */
+export function findMoonCrossings(start, end, latitude, longitude, limit = Infinity) {
+    const STEP_MINUTES = 10;
+    const heightAt = (time) => {
+        const {elevation, distance} = getGeocentricPosition(time, latitude, longitude);
+        return elevation - getRiseElevation(distance);
+    };
+
+    const crossings = [];
+    let previousTime = start;
+    let previousHeight = heightAt(start);
+
+    while (previousTime < end && crossings.length < limit) {
+        const time = DateTime.min(previousTime.plus({minutes: STEP_MINUTES}), end);
+        const height = heightAt(time);
+
+        if ((previousHeight < 0) !== (height < 0)) {
+            let low = previousTime;
+            let high = time;
+            // Ten halvings of 10 minutes bring it down to about a second
+            for (let i = 0; i < 10; i++) {
+                const middle = low.plus({milliseconds: high.diff(low).toMillis() / 2});
+                if ((heightAt(middle) < 0) === (previousHeight < 0)) low = middle; else high = middle;
+            }
+            crossings.push({type: height >= 0 ? 'moonrise' : 'moonset', at: high});
+        }
+
+        previousTime = time;
+        previousHeight = height;
+    }
+
+    return crossings;
+}
+
+/**
+ * Calculates moonrise and moonset for a local calendar day. Unlike the sun, the moon rises about 50 minutes later
+ * every day, so on some days there is no moonrise or no moonset at all.
+ * @param {DateTime} date - Any instant of the day in question.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @param {string} [timezone] - IANA timezone of the location. Defaults to the zone of `date`.
+ * @returns {{moonrise: DateTime|null, moonset: DateTime|null, alwaysUp: boolean, alwaysDown: boolean}}
+ *          The times in `timezone`; `alwaysUp`/`alwaysDown` are set if the moon neither rises nor sets that day.
+ */
+export function getMoonTimes(date, latitude, longitude, timezone = date.zoneName) {
+    const start = date.setZone(timezone).startOf('day');
+    const crossings = findMoonCrossings(start, start.plus({days: 1}), latitude, longitude);
+    const find = (type) => {
+        const crossing = crossings.find(c => c.type === type);
+        return crossing ? crossing.at.setZone(timezone) : null;
+    };
+
+    const up = crossings.length === 0 && getLunarPosition(start, latitude, longitude).elevation > 0;
+    return {
+        moonrise: find('moonrise'),
+        moonset: find('moonset'),
+        alwaysUp: up,
+        alwaysDown: crossings.length === 0 && !up,
+    };
+}
+
+/**
+ * Finds the next moonrise or moonset after an instant.
+ * @param {DateTime} time - The instant to search from.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @returns {{type: ('moonrise'|'moonset'), at: DateTime}|null} The next event, or null if there is none within
+ *          two days (possible near the poles).
+ */
+export function getNextMoonEvent(time, latitude, longitude) {
+    const [next] = findMoonCrossings(time, time.plus({days: 2}), latitude, longitude, 1);
+    return next || null;
+}
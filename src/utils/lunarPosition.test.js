@@ -0,0 +1,63 @@
+import {describe, expect, test} from 'vitest';
+import {DateTime} from 'luxon';
+import {getMoonPhase, getMoonTimes, getNextMoonEvent, MOON_PHASES} from './lunarPosition.js';
+
+const DRESDEN = {latitude: 51.0504, longitude: 13.7373, timezone: 'Europe/Berlin'};
+const TAMBOPATA = {latitude: -12.8617, longitude: -69.4948, timezone: 'America/Lima'};
+
+// Difference of two instants in minutes
+const minutesBetween = (a, b) => Math.abs(a.diff(b, 'minutes').minutes);
+
+describe('getMoonPhase', () => {
+    test('is full at the full moon of the lunar eclipse on 2025-09-07', () => {
+        // Full moon at 18:09 UT
+        const phase = getMoonPhase(DateTime.fromISO('2025-09-07T18:09:00Z'));
+        expect(phase).toMatchObject({name: 'full', icon: '🌕'});
+        expect(phase.age).toBeCloseTo(0.5, 3);
+        expect(phase.illumination).toBeCloseTo(1, 4);
+    });
+
+    test('is new at the new moon of the solar eclipse on 2024-04-08', () => {
+        // New moon at 18:21 UT
+        const phase = getMoonPhase(DateTime.fromISO('2024-04-08T18:21:00Z'));
+        expect(phase).toMatchObject({name: 'new', icon: '🌑'});
+        expect(phase.illumination).toBeCloseTo(0, 4);
+    });
+
+    test('mirrors the icon south of the equator', () => {
+        const firstQuarter = DateTime.fromISO('2026-10-18T12:00:00Z');
+        expect(getMoonPhase(firstQuarter, DRESDEN.latitude)).toMatchObject({name: 'firstQuarter', icon: '🌓'});
+        expect(getMoonPhase(firstQuarter, TAMBOPATA.latitude)).toMatchObject({name: 'firstQuarter', icon: '🌗'});
+    });
+
+    test('has a southern icon for every phase that mirrors the northern one', () => {
+        const icons = MOON_PHASES.map(phase => phase.icon);
+        // The phases are symmetric around the full moon: waxing in the south looks like waning in the north
+        expect(MOON_PHASES.map(phase => phase.southernIcon)).toEqual([icons[0], ...icons.slice(1).reverse()]);
+    });
+});
+
+describe('getMoonTimes', () => {
+    // Astronomy Engine (github.com/cosinekitty/astronomy), which is checked against JPL Horizons, for 2026-10-18
+    test('matches the moonrise and moonset in Dresden within a minute', () => {
+        const {moonrise, moonset, alwaysUp, alwaysDown} = getMoonTimes(DateTime.fromISO('2026-10-18T12:00', {zone: DRESDEN.timezone}), DRESDEN.latitude, DRESDEN.longitude);
+        expect(minutesBetween(moonrise, DateTime.fromISO('2026-10-18T13:17:35Z'))).toBeLessThan(1);
+        expect(minutesBetween(moonset, DateTime.fromISO('2026-10-18T21:08:43Z'))).toBeLessThan(1);
+        expect(moonrise.zoneName).toBe(DRESDEN.timezone);
+        expect(alwaysUp || alwaysDown).toBe(false);
+    });
+
+    test('has no moonset in Tambopata when the moon sets after midnight', () => {
+        const {moonrise, moonset} = getMoonTimes(DateTime.fromISO('2026-10-18T12:00', {zone: TAMBOPATA.timezone}), TAMBOPATA.latitude, TAMBOPATA.longitude);
+        expect(minutesBetween(moonrise, DateTime.fromISO('2026-10-18T16:18:03Z'))).toBeLessThan(1);
+        expect(moonset).toBeNull();
+    });
+});
+
+describe('getNextMoonEvent', () => {
+    test('finds the moonset in Tambopata on the next day', () => {
+        const next = getNextMoonEvent(DateTime.fromISO('2026-10-18T20:00', {zone: TAMBOPATA.timezone}), TAMBOPATA.latitude, TAMBOPATA.longitude);
+        expect(next.type).toBe('moonset');
+        expect(minutesBetween(next.at, DateTime.fromISO('2026-10-19T05:26:32Z'))).toBeLessThan(1);
+    });
+});
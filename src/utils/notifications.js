@@ -0,0 +1,40 @@
+// Thin wrapper around the browser Notifications API, which is missing on the server and in some browsers.
+
+/**
+ * @returns {boolean} True if the browser supports notifications.
+ */
+export function notificationsSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Asks for permission to show notifications. Must be called from a user action (e.g. a click or change event).
+ * @returns {Promise<string>} "granted", "denied" or "default"; "denied" if notifications are not supported.
+ */
+export async function requestNotificationPermission() {
+    if (!notificationsSupported()) return 'denied';
+    if (Notification.permission !== 'default') return Notification.permission;
+
+    try {
+        return await Notification.requestPermission();
+    } catch (error) {
+        console.warn('Notification permission could not be requested:', error);
+        return 'denied';
+    }
+}
+
+/**
+ * Shows a notification if permission has been granted.
+ * @param {string} title - The notification title.
+ * @param {{body?: string, tag?: string}} [options] - The text and a tag that replaces earlier notifications with the same tag.
+ */
+export function showNotification(title, options) {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+
+    try {
+        new Notification(title, options);
+    } catch (error) {
+        // E.g. Chrome on Android only allows notifications from a service worker
+        console.warn('Notification could not be shown:', error);
+    }
+}
@@ -0,0 +1,112 @@
+// Color scales and grid interpolation for the weather overlays on the globe (see overlayService.js).
+
+/**
+ * The overlays offered by the `weatherOverlay` preference. `field` is the field of the WeatherGrid and `stops`
+ * map values (in °C, mm and km/h) to colors, optionally with an opacity; they are also shown in the legend.
+ */
+export const OVERLAY_SCALES = {
+    temperature: {
+        field: 'temperature',
+        icon: '🌡️',
+        stops: [[-30, '#313695'], [-15, '#4575b4'], [0, '#abd9e9'], [10, '#ffffbf'], [20, '#fdae61'], [30, '#d73027'], [40, '#a50026']],
+    },
+    precipitation: {
+        field: 'precipitation',
+        icon: '🌧️',
+        stops: [[0, '#a6d8ff', 0], [0.1, '#a6d8ff'], [0.5, '#3f8fe0'], [1, '#1c4fb8'], [2, '#6a2cb0'], [4, '#d02090']],
+    },
+    wind: {
+        field: 'wind',
+        icon: '💨',
+        stops: [[0, '#e0f3db'], [10, '#a8ddb5'], [20, '#4eb3d3'], [35, '#2b8cbe'], [50, '#6a51a3'], [75, '#3f007d']],
+    },
+};
+
+const DEFAULT_OPACITY = 0.6;
+
+/**
+ * Parses a "#rrggbb" color.
+ * @param {string} hex - The color.
+ * @returns {number[]} The red, green and blue components (0-255).
+ */
+function parseHex(hex) {
+    return [1, 3, 5].map(idx => parseInt(hex.slice(idx, idx + 2), 16));
+}
+
+/**
+ * Looks up the color of a value on a scale, interpolating linearly between the stops.
+ * Values outside the scale get the color of the nearest end.
+ * @param {Array<[number, string, number?]>} stops - Ascending values with their color and opacity.
+ * @param {number} value - The value to look up.
+ * @returns {string} The color as "rgba(r, g, b, a)".
+ */
+export function colorForValue(stops, value) {
+    const upper = stops.findIndex(([stop]) => stop >= value);
+    let from = stops[upper - 1];
+    let to = stops[upper];
+    if (upper === 0) from = to;
+    if (upper === -1) from = to = stops[stops.length - 1];
+    const fraction = to[0] > from[0] ? (value - from[0]) / (to[0] - from[0]) : 0;
+
+    const mix = (a, b) => a + (b - a) * fraction;
+    const [r, g, b] = parseHex(from[1]).map((component, idx) => Math.round(mix(component, parseHex(to[1])[idx])));
+    const opacity = mix(from[2] ?? DEFAULT_OPACITY, to[2] ?? DEFAULT_OPACITY);
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(opacity * 100) / 100})`;
+}
+
+/**
+ * Builds a CSS gradient of a scale for the legend, with the stops spread evenly.
+ * @param {Array<[number, string, number?]>} stops - The stops of the scale.
+ * @returns {string} A `linear-gradient(...)` from left to right.
+ */
+export function legendGradient(stops) {
+    const colors = stops.map(([value], idx) => `${colorForValue(stops, value)} ${Math.round(idx / (stops.length - 1) * 100)}%`);
+    return `linear-gradient(to right, ${colors.join(', ')})`;
+}
+
+/**
+ * Samples a field of a WeatherGrid at regular points, interpolating bilinearly between the grid points.
+ * Longitudes wrap around the antimeridian; beyond the outermost rows the nearest row is used.
+ * Points next to missing grid values are left out.
+ * @param {import('../services/overlayService.js').WeatherGrid} grid - The grid.
+ * @param {string} field - The field to sample, e.g. "temperature".
+ * @param {number} step - Spacing of the sample points in degrees.
+ * @returns {Array<{lat: number, lng: number, value: number}>} The sample points.
+ */
+export function sampleGrid(grid, field, step) {
+    const {latitudes, longitudes} = grid;
+    const values = grid.fields[field];
+    const samples = [];
+
+    // Index of the last row or column at or before `coordinate`, and the fraction towards the next one
+    const locate = (coordinates, coordinate, wrap) => {
+        let idx = coordinates.findLastIndex(c => c <= coordinate);
+        if (idx === -1) {
+            if (!wrap) return [0, 0];
+            idx = coordinates.length - 1;
+            coordinate += 360;
+        }
+        const next = idx + 1 < coordinates.length ? coordinates[idx + 1] : (wrap ? coordinates[0] + 360 : coordinates[idx]);
+        const fraction = next > coordinates[idx] ? Math.min(1, (coordinate - coordinates[idx]) / (next - coordinates[idx])) : 0;
+        return [idx, fraction];
+    };
+
+    for (let lat = -90 + step / 2; lat < 90; lat += step) {
+        const [row, rowFraction] = locate(latitudes, lat, false);
+        const nextRow = Math.min(row + 1, latitudes.length - 1);
+
+        for (let lng = -180 + step / 2; lng < 180; lng += step) {
+            const [column, columnFraction] = locate(longitudes, lng, true);
+            const nextColumn = (column + 1) % longitudes.length;
+            const corners = [values[row][column], values[row][nextColumn], values[nextRow][column], values[nextRow][nextColumn]];
+            if (corners.some(corner => typeof corner !== 'number')) continue;
+
+            const [a, b, c, d] = corners;
+            const south = a + (b - a) * columnFraction;
+            const north = c + (d - c) * columnFraction;
+            samples.push({lat, lng, value: south + (north - south) * rowFraction});
+        }
+    }
+
+    return samples;
+}
@@ -0,0 +1,121 @@
+// User preferences for units, clock format, language, notifications and the globe, persisted in localStorage.
+
+const STORAGE_KEY = 'tambopata.preferences';
+
+// Fired on `window` whenever the preferences change, so that every island on the page can update.
+export const PREFERENCES_CHANGE_EVENT = 'preferences-change';
+
+export const DEFAULT_PREFERENCES = {
+    temperatureUnit: 'celsius', // 'celsius' | 'fahrenheit'
+    distanceUnit: 'km', // 'km' | 'mi'
+    hourCycle: '24h', // '24h' | '12h'
+    language: 'en', // 'en' | 'de' | 'es'
+    notifications: 'off', // 'off' | 'on' (browser notifications for weather alerts)
+    cameraMode: 'manual', // 'manual' | 'terminator' (follow the dusk line when idle) | 'tour' (cycle through the locations)
+    weatherOverlay: 'off', // 'off' | 'temperature' | 'precipitation' | 'wind' (data layer on the globe)
+    rendering: 'continuous', // 'continuous' (animated routes) | 'onDemand' (redraw the globe only when something changes)
+};
+
+// The values offered in the preferences menu.
+export const PREFERENCE_OPTIONS = {
+    temperatureUnit: [{value: 'celsius', label: '°C'}, {value: 'fahrenheit', label: '°F'}],
+    distanceUnit: [{value: 'km', label: 'km'}, {value: 'mi', label: 'mi'}],
+    hourCycle: [{value: '24h', label: '24h'}, {value: '12h', label: '12h'}],
+    language: [{value: 'en', label: 'English'}, {value: 'de', label: 'Deutsch'}, {value: 'es', label: 'Español'}],
+    notifications: [{value: 'off', label: '🔕'}, {value: 'on', label: '🔔'}],
+    cameraMode: [{value: 'manual', label: '🖐️'}, {value: 'terminator', label: '🌗'}, {value: 'tour', label: '🗺️'}],
+    weatherOverlay: [{value: 'off', label: '🌐'}, {value: 'temperature', label: '🌡️'}, {value: 'precipitation', label: '🌧️'}, {value: 'wind', label: '💨'}],
+    rendering: [{value: 'continuous', label: '🎞️'}, {value: 'onDemand', label: '🔋'}],
+};
+
+// Preferences fixed by the page, e.g. by the query string of the embed. They take precedence over the stored ones.
+let overrides = {};
+
+/**
+ * Fixes some preferences for this page, without storing them.
+ * @param {Partial<typeof DEFAULT_PREFERENCES>} values - The preferences to use instead of the stored ones.
+ */
+export function setPreferenceOverrides(values) {
+    overrides = {...values};
+}
+
+/**
+ * Returns the preferences fixed for this page (see setPreferenceOverrides), which cannot be changed by the user.
+ * @returns {Partial<typeof DEFAULT_PREFERENCES>} The overridden preferences.
+ */
+export function getPreferenceOverrides() {
+    return {...overrides};
+}
+
+/**
+ * Returns the current preferences: the stored ones (see loadStoredPreferences), falling back to the defaults for
+ * missing or invalid values. Preferences set with setPreferenceOverrides() take precedence.
+ * @returns {typeof DEFAULT_PREFERENCES} The current preferences.
+ */
+export function loadPreferences() {
+    return {...loadStoredPreferences(), ...overrides};
+}
+
+// The stored preferences, read once. This copy is the source of truth; localStorage is best-effort, so a
+// full or disabled storage does not turn a change back on the next read.
+let stored = null;
+
+/**
+ * Reads the stored preferences only, without the overrides. Changes are saved on top of these.
+ * @returns {typeof DEFAULT_PREFERENCES} The stored preferences.
+ */
+export function loadStoredPreferences() {
+    if (!stored) stored = readStorage();
+    return {...stored};
+}
+
+/**
+ * Discards the in-memory copy after another tab stored its preferences, so that the next read picks them up.
+ * @param {StorageEvent} event - The `storage` event; changes of other keys are ignored.
+ * @returns {boolean} True if the stored preferences have changed.
+ */
+export function reloadStoredPreferences(event) {
+    if (event.key !== null && event.key !== STORAGE_KEY) return false;
+    stored = null;
+    return true;
+}
+
+/**
+ * Reads the preferences from localStorage, falling back to the defaults for missing or invalid values.
+ * @returns {typeof DEFAULT_PREFERENCES} The preferences.
+ */
+function readStorage() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return {...DEFAULT_PREFERENCES};
+    }
+
+    try {
+        const values = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        const preferences = {...DEFAULT_PREFERENCES};
+        Object.keys(PREFERENCE_OPTIONS).forEach(key => {
+            if (PREFERENCE_OPTIONS[key].some(option => option.value === values[key])) {
+                preferences[key] = values[key];
+            }
+        });
+        return preferences;
+    } catch (error) {
+        console.warn('Stored preferences could not be read, using defaults:', error);
+        return {...DEFAULT_PREFERENCES};
+    }
+}
+
+/**
+ * Stores the preferences in memory and, if possible, in localStorage, and notifies all listeners on the page.
+ * @param {typeof DEFAULT_PREFERENCES} preferences - The preferences to store.
+ */
+export function savePreferences(preferences) {
+    stored = {...preferences};
+    if (typeof window === 'undefined') return;
+
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.warn('Preferences could not be stored, they are kept for this page only:', error);
+    }
+    window.dispatchEvent(new CustomEvent(PREFERENCES_CHANGE_EVENT, {detail: preferences}));
+}
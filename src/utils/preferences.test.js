@@ -0,0 +1,78 @@
+import {afterEach, beforeEach, describe, expect, test, vi} from 'vitest';
+
+// A window with a localStorage whose writes can be made to fail, e.g. when the quota is exceeded
+function stubWindow() {
+    const entries = new Map();
+    const storage = {
+        failing: false,
+        getItem: (key) => entries.get(key) ?? null,
+        setItem(key, value) {
+            if (storage.failing) throw new Error('QuotaExceededError');
+            entries.set(key, value);
+        },
+    };
+    const target = new EventTarget();
+    vi.stubGlobal('window', {localStorage: storage, addEventListener: target.addEventListener.bind(target), dispatchEvent: target.dispatchEvent.bind(target)});
+    return storage;
+}
+
+// The module keeps the preferences in memory, so every test starts with a fresh copy of it
+const importPreferences = () => import('./preferences.js');
+
+beforeEach(() => {
+    vi.resetModules();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('preferences', () => {
+    test('are read from localStorage, ignoring invalid values', async () => {
+        const storage = stubWindow();
+        storage.setItem('tambopata.preferences', JSON.stringify({language: 'de', hourCycle: '13h'}));
+        const {DEFAULT_PREFERENCES, loadPreferences} = await importPreferences();
+
+        expect(loadPreferences()).toEqual({...DEFAULT_PREFERENCES, language: 'de'});
+    });
+
+    test('keep a change when localStorage cannot store it', async () => {
+        const storage = stubWindow();
+        const {loadPreferences, loadStoredPreferences, PREFERENCES_CHANGE_EVENT, savePreferences} = await importPreferences();
+        const listener = vi.fn();
+        window.addEventListener(PREFERENCES_CHANGE_EVENT, listener);
+
+        storage.failing = true;
+        savePreferences({...loadStoredPreferences(), temperatureUnit: 'fahrenheit'});
+
+        expect(loadPreferences().temperatureUnit).toBe('fahrenheit');
+        expect(listener).toHaveBeenCalledOnce();
+        expect(storage.getItem('tambopata.preferences')).toBeNull();
+    });
+
+    test('pick up changes stored by other tabs', async () => {
+        const storage = stubWindow();
+        const {loadPreferences, reloadStoredPreferences} = await importPreferences();
+        expect(loadPreferences().language).toBe('en');
+
+        storage.setItem('tambopata.preferences', JSON.stringify({language: 'es'}));
+        expect(reloadStoredPreferences({key: 'tambopata.cache.weather'})).toBe(false);
+        expect(loadPreferences().language).toBe('en');
+        expect(reloadStoredPreferences({key: 'tambopata.preferences'})).toBe(true);
+        expect(loadPreferences().language).toBe('es');
+    });
+
+    test('are not stored with the overrides of the page', async () => {
+        const storage = stubWindow();
+        const {getPreferenceOverrides, loadPreferences, loadStoredPreferences, savePreferences, setPreferenceOverrides} = await importPreferences();
+
+        setPreferenceOverrides({distanceUnit: 'mi'});
+        savePreferences({...loadStoredPreferences(), language: 'de'});
+
+        expect(getPreferenceOverrides()).toEqual({distanceUnit: 'mi'});
+        expect(loadPreferences()).toMatchObject({distanceUnit: 'mi', language: 'de'});
+        expect(JSON.parse(storage.getItem('tambopata.preferences'))).toMatchObject({distanceUnit: 'km', language: 'de'});
+    });
+});
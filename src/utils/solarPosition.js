@@ -0,0 +1,239 @@
+import {DateTime} from 'luxon';
+
+// Geometric sun elevation at sunrise/sunset: refraction (34') plus the sun's semi-diameter (16') below the horizon.
+// Compare it with the elevation without refraction (getSolarPosition with `refraction = false`).
+export const SUNRISE_ELEVATION = -0.833;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+const normalizeDegrees = (deg) => ((deg % 360) + 360) % 360;
+const normalizeLongitude = (deg) => normalizeDegrees(deg + 180) - 180;
+
+/**
+ * Converts an instant to its Julian Day.
+ * @param {DateTime} time - The instant.
+ * @returns {number} The Julian Day (UT).
+ */
+export function toJulianDay(time) {
+    return time.toMillis() / 86400000 + 2440587.5;
+}
+
+/**
+ * Calculates the sun's apparent coordinates using the NOAA solar calculator algorithm
+ * (based on Jean Meeus, "Astronomical Algorithms"). Accurate to about 0.01° for dates between 1800 and 2100.
+ * @param {DateTime} time - The instant.
+ * @returns {{declination: number, rightAscension: number, longitude: number, equationOfTime: number, distance: number}}
+ *          Declination, right ascension and apparent ecliptic longitude in degrees, equation of time in minutes,
+ *          distance in AU.
+ */
+export function getSolarCoordinates(time) {
+    const T = (toJulianDay(time) - 2451545) / 36525; // Julian centuries since J2000.0
+
+    const meanLongitude = normalizeDegrees(280.46646 + T * (36000.76983 + T * 0.0003032));
+    const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+    const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+    const M = toRad(meanAnomaly);
+    const equationOfCenter = Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+        Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+        Math.sin(3 * M) * 0.000289;
+
+    const trueLongitude = meanLongitude + equationOfCenter;
+    const trueAnomaly = meanAnomaly + equationOfCenter;
+    const distance = 1.000001018 * (1 - eccentricity ** 2) / (1 + eccentricity * Math.cos(toRad(trueAnomaly)));
+
+    // Correct for nutation and aberration
+    const omega = toRad(125.04 - 1934.136 * T);
+    const apparentLongitude = toRad(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega));
+
+    const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+    const obliquity = toRad(meanObliquity + 0.00256 * Math.cos(omega));
+
+    const declination = toDeg(Math.asin(Math.sin(obliquity) * Math.sin(apparentLongitude)));
+    const rightAscension = normalizeDegrees(toDeg(Math.atan2(
+        Math.cos(obliquity) * Math.sin(apparentLongitude),
+        Math.cos(apparentLongitude)
+    )));
+
+    const y = Math.tan(obliquity / 2) ** 2;
+    const L0 = toRad(meanLongitude);
+    const equationOfTime = 4 * toDeg(
+        y * Math.sin(2 * L0) -
+        2 * eccentricity * Math.sin(M) +
+        4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0) -
+        0.5 * y ** 2 * Math.sin(4 * L0) -
+        1.25 * eccentricity ** 2 * Math.sin(2 * M)
+    );
+
+    return {declination, rightAscension, longitude: normalizeDegrees(toDeg(apparentLongitude)), equationOfTime, distance};
+}
+
+/**
+ * Calculates the subsolar point, i.e. where the sun is directly overhead.
+ * @param {DateTime} [time] - The instant. Defaults to now.
+ * @returns {{latitude: number, longitude: number}} The subsolar point in degrees.
+ */
+export function getSubsolarPoint(time = DateTime.utc()) {
+    const {declination, equationOfTime} = getSolarCoordinates(time);
+    const utc = time.toUTC();
+    const minutesOfDay = utc.hour * 60 + utc.minute + utc.second / 60 + utc.millisecond / 60000;
+
+    return {
+        latitude: declination,
+        longitude: normalizeLongitude(-(minutesOfDay + equationOfTime - 720) / 4),
+    };
+}
+
+/**
+ * Calculates the sun's position in the sky as seen from a location.
+ * @param {DateTime} time - The instant.
+ * @param {number} latitude - Latitude of the observer in degrees.
+ * @param {number} longitude - Longitude of the observer in degrees (east positive).
+ * @param {boolean} [refraction] - Whether to correct the elevation for atmospheric refraction.
+ * @returns {{elevation: number, azimuth: number}} Elevation above the horizon and azimuth clockwise from north, in degrees.
+ */
+export function getSolarPosition(time, latitude, longitude, refraction = true) {
+    const {declination} = getSolarCoordinates(time);
+    const subsolar = getSubsolarPoint(time);
+
+    const hourAngle = toRad(normalizeLongitude(longitude - subsolar.longitude));
+    const lat = toRad(latitude);
+    const decl = toRad(declination);
+
+    const cosZenith = Math.min(1, Math.max(-1,
+        Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle)
+    ));
+    const elevation = 90 - toDeg(Math.acos(cosZenith));
+
+    const azimuth = normalizeDegrees(toDeg(Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat)
+    )) + 180);
+
+    return {
+        elevation: refraction ? elevation + getRefractionCorrection(elevation) : elevation,
+        azimuth,
+    };
+}
+
+/**
+ * Atmospheric refraction correction used by the NOAA solar calculator.
+ * @param {number} elevation - The geometric elevation in degrees.
+ * @returns {number} The correction in degrees to add to the elevation.
+ */
+function getRefractionCorrection(elevation) {
+    if (elevation > 85) return 0;
+
+    const tanE = Math.tan(toRad(elevation));
+    let arcSeconds;
+    if (elevation > 5) {
+        arcSeconds = 58.1 / tanE - 0.07 / tanE ** 3 + 0.000086 / tanE ** 5;
+    } else if (elevation > -0.575) {
+        arcSeconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+    } else {
+        arcSeconds = -20.772 / tanE;
+    }
+
+    return arcSeconds / 3600;
+}
+
+// Sun elevations (degrees) that define the twilight phases and the golden hour.
+export const SUN_ELEVATIONS = {
+    sunrise: SUNRISE_ELEVATION,
+    goldenHour: 6,
+    civil: -6,
+    nautical: -12,
+    astronomical: -18,
+};
+
+/**
+ * Finds the instant on a given UTC date at which the sun crosses an elevation, refining the
+ * declination and equation of time at the estimated event time.
+ * @param {DateTime} utcDate - Midnight UTC of the date to search.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @param {number} elevation - The target elevation in degrees.
+ * @param {boolean} rising - True for the morning crossing, false for the evening crossing.
+ * @returns {DateTime|null} The instant, or null if the sun does not reach the elevation that day.
+ */
+function getElevationCrossing(utcDate, latitude, longitude, elevation, rising) {
+    const lat = toRad(latitude);
+    let time = utcDate.plus({minutes: 720 - 4 * longitude});
+
+    for (let i = 0; i < 3; i++) {
+        const {declination, equationOfTime} = getSolarCoordinates(time);
+        const decl = toRad(declination);
+        const cosHourAngle = (Math.sin(toRad(elevation)) - Math.sin(lat) * Math.sin(decl)) /
+            (Math.cos(lat) * Math.cos(decl));
+
+        if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+
+        const hourAngle = toDeg(Math.acos(cosHourAngle)) * (rising ? 1 : -1);
+        time = utcDate.plus({minutes: 720 - 4 * (longitude + hourAngle) - equationOfTime});
+    }
+
+    return time;
+}
+
+/**
+ * Calculates sunrise, sunset, twilight and golden hour times for a local calendar day.
+ * Events that do not happen on that day (polar day/night) are null.
+ * @param {DateTime} date - Any instant of the day in question.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @param {string} [timezone] - IANA timezone of the location. Defaults to the zone of `date`.
+ * @returns {{solarNoon: DateTime, sunrise: DateTime|null, sunset: DateTime|null,
+ *            goldenHourEnd: DateTime|null, goldenHourStart: DateTime|null,
+ *            civilDawn: DateTime|null, civilDusk: DateTime|null,
+ *            nauticalDawn: DateTime|null, nauticalDusk: DateTime|null,
+ *            astronomicalDawn: DateTime|null, astronomicalDusk: DateTime|null,
+ *            dayLength: number, polar: ('day'|'night'|null)}}
+ *          All times are in `timezone`, the day length is in minutes.
+ */
+export function getSunTimes(date, latitude, longitude, timezone = date.zoneName) {
+    const localDay = date.setZone(timezone).startOf('day');
+    const calendarDate = {year: localDay.year, month: localDay.month, day: localDay.day};
+    let utcDate = DateTime.fromObject(calendarDate, {zone: 'utc'});
+
+    // Solar noon on the UTC date may fall on the neighbouring local date far from Greenwich
+    const noonOn = (day) => {
+        const {equationOfTime} = getSolarCoordinates(day.plus({minutes: 720 - 4 * longitude}));
+        return day.plus({minutes: 720 - 4 * longitude - equationOfTime});
+    };
+    let solarNoon = noonOn(utcDate).setZone(timezone);
+    if (solarNoon.startOf('day') < localDay) utcDate = utcDate.plus({days: 1});
+    if (solarNoon.startOf('day') > localDay) utcDate = utcDate.minus({days: 1});
+    solarNoon = noonOn(utcDate).setZone(timezone);
+
+    const crossing = (elevation, rising) => {
+        const time = getElevationCrossing(utcDate, latitude, longitude, elevation, rising);
+        return time ? time.setZone(timezone) : null;
+    };
+
+    const sunrise = crossing(SUN_ELEVATIONS.sunrise, true);
+    const sunset = crossing(SUN_ELEVATIONS.sunrise, false);
+
+    let polar = null;
+    let dayLength = sunrise && sunset ? sunset.diff(sunrise, 'minutes').minutes : 0;
+    if (!sunrise || !sunset) {
+        const {elevation} = getSolarPosition(solarNoon, latitude, longitude, false);
+        polar = elevation > SUN_ELEVATIONS.sunrise ? 'day' : 'night';
+        dayLength = polar === 'day' ? 24 * 60 : 0;
+    }
+
+    return {
+        solarNoon,
+        sunrise,
+        sunset,
+        goldenHourEnd: crossing(SUN_ELEVATIONS.goldenHour, true),
+        goldenHourStart: crossing(SUN_ELEVATIONS.goldenHour, false),
+        civilDawn: crossing(SUN_ELEVATIONS.civil, true),
+        civilDusk: crossing(SUN_ELEVATIONS.civil, false),
+        nauticalDawn: crossing(SUN_ELEVATIONS.nautical, true),
+        nauticalDusk: crossing(SUN_ELEVATIONS.nautical, false),
+        astronomicalDawn: crossing(SUN_ELEVATIONS.astronomical, true),
+        astronomicalDusk: crossing(SUN_ELEVATIONS.astronomical, false),
+        dayLength,
+        polar,
+    };
+}
@@ -0,0 +1,82 @@
+import {describe, expect, test} from 'vitest';
+import {DateTime} from 'luxon';
+import {getSolarCoordinates, getSolarPosition, getSubsolarPoint, getSunTimes, SUNRISE_ELEVATION, toJulianDay} from './solarPosition.js';
+
+const DRESDEN = {latitude: 51.0504, longitude: 13.7373, timezone: 'Europe/Berlin'};
+
+describe('getSolarCoordinates', () => {
+    // Meeus, Astronomical Algorithms, example 25.a (1992 October 13, 0h TD) and example 28.b
+    const time = DateTime.fromISO('1992-10-13T00:00:00Z');
+
+    test('matches Meeus example 25.a', () => {
+        expect(toJulianDay(time)).toBe(2448908.5);
+
+        const {declination, rightAscension, distance, equationOfTime} = getSolarCoordinates(time);
+        expect(declination).toBeCloseTo(-7.78507, 3);
+        expect(rightAscension).toBeCloseTo(198.38083, 3);
+        expect(distance).toBeCloseTo(0.99766, 4);
+        // 13m 42.6s
+        expect(equationOfTime).toBeCloseTo(13.71, 2);
+    });
+});
+
+describe('getSubsolarPoint', () => {
+    test('is over the Tropic of Cancer at the June solstice', () => {
+        const {latitude, longitude} = getSubsolarPoint(DateTime.fromISO('2026-06-21T12:00:00Z'));
+        expect(latitude).toBeCloseTo(23.44, 2);
+        // The equation of time is -1.8 min, so at 12:00 UT the sun has not reached the Greenwich meridian yet
+        expect(longitude).toBeCloseTo(0.46, 1);
+    });
+
+    test('is on the equator at the March equinox', () => {
+        // The equinox is at 14:46 UT; 2h 46m past noon, less the equation of time (-7.4 min)
+        const {latitude, longitude} = getSubsolarPoint(DateTime.fromISO('2026-03-20T14:46:00Z'));
+        expect(latitude).toBeCloseTo(0, 1);
+        expect(longitude).toBeCloseTo(-39.65, 1);
+    });
+});
+
+describe('getSunTimes', () => {
+    // NOAA solar calculator for Dresden on 2026-10-18: sunrise 07:33, solar noon 12:50, sunset 18:06 (CEST)
+    const sunTimes = getSunTimes(DateTime.fromISO('2026-10-18T12:00', {zone: DRESDEN.timezone}), DRESDEN.latitude, DRESDEN.longitude, DRESDEN.timezone);
+
+    test('matches the NOAA times for Dresden', () => {
+        expect(sunTimes.sunrise.toFormat('HH:mm')).toBe('07:33');
+        expect(sunTimes.solarNoon.toFormat('HH:mm')).toBe('12:50');
+        expect(sunTimes.sunset.toFormat('HH:mm')).toBe('18:06');
+        expect(sunTimes.polar).toBeNull();
+    });
+
+    test('returns times in the location\'s timezone', () => {
+        expect(sunTimes.sunrise.zoneName).toBe(DRESDEN.timezone);
+    });
+
+    test('has no sunrise during polar night', () => {
+        const tromso = getSunTimes(DateTime.fromISO('2026-12-21T12:00', {zone: 'Europe/Oslo'}), 69.65, 18.96, 'Europe/Oslo');
+        expect(tromso.sunrise).toBeNull();
+        expect(tromso.sunset).toBeNull();
+        expect(tromso.polar).toBe('night');
+    });
+});
+
+describe('getSolarPosition', () => {
+    const {sunrise, solarNoon} = getSunTimes(DateTime.fromISO('2026-10-18T12:00', {zone: DRESDEN.timezone}), DRESDEN.latitude, DRESDEN.longitude, DRESDEN.timezone);
+
+    test('is due south at solar noon, 90° - latitude + declination high', () => {
+        const {declination} = getSolarCoordinates(solarNoon);
+        const {elevation, azimuth} = getSolarPosition(solarNoon, DRESDEN.latitude, DRESDEN.longitude, false);
+        expect(azimuth).toBeCloseTo(180, 1);
+        expect(elevation).toBeCloseTo(90 - DRESDEN.latitude + declination, 2);
+        // NOAA: 29.27° corrected for refraction
+        expect(getSolarPosition(solarNoon, DRESDEN.latitude, DRESDEN.longitude).elevation).toBeCloseTo(29.27, 2);
+    });
+
+    test('is at the sunrise elevation at sunrise', () => {
+        // SUNRISE_ELEVATION includes the refraction, so it is the geometric elevation at sunrise
+        expect(getSolarPosition(sunrise, DRESDEN.latitude, DRESDEN.longitude, false).elevation).toBeCloseTo(SUNRISE_ELEVATION, 2);
+        // NOAA: -0.44° corrected for refraction, azimuth 104.36°
+        const {elevation, azimuth} = getSolarPosition(sunrise, DRESDEN.latitude, DRESDEN.longitude);
+        expect(elevation).toBeCloseTo(-0.44, 2);
+        expect(azimuth).toBeCloseTo(104.36, 1);
+    });
+});
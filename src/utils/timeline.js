@@ -0,0 +1,87 @@
+// Simulated time for the globe's time-travel scrubber, shared between the islands on the page.
+// The timeline is either live (real time) or anchored: at the real time `anchorWall` the simulated time was
+// `anchor`, and while playing it advances `speed` simulated milliseconds per real millisecond (negative: backwards).
+import {DateTime} from 'luxon';
+
+// Fired on `window` whenever the timeline changes, so that the globe and the Clock stay in sync.
+export const TIMELINE_CHANGE_EVENT = 'timeline-change';
+
+// Playback speeds offered by the scrubber (simulated seconds per real second).
+export const TIMELINE_SPEEDS = [1, 60, 600, 3600, 86400];
+
+export const LIVE_TIMELINE = {
+    live: true,
+    anchor: null, // Simulated time in epoch milliseconds...
+    anchorWall: null, // ...at this real time in epoch milliseconds
+    speed: 60,
+    playing: false,
+    followClock: false, // Whether the Clock rows show the simulated time as well
+};
+
+let currentTimeline = LIVE_TIMELINE;
+
+/**
+ * @returns {typeof LIVE_TIMELINE} The current timeline.
+ */
+export function getTimeline() {
+    return currentTimeline;
+}
+
+/**
+ * Computes the simulated time of a timeline.
+ * @param {typeof LIVE_TIMELINE} [timeline] - The timeline; defaults to the current one.
+ * @param {number} [wallNow] - The real time in epoch milliseconds.
+ * @returns {DateTime} The simulated time in UTC, or the real time if the timeline is live.
+ */
+export function getTimelineTime(timeline = currentTimeline, wallNow = Date.now()) {
+    if (timeline.live) return DateTime.fromMillis(wallNow, {zone: 'utc'});
+
+    const elapsed = timeline.playing ? (wallNow - timeline.anchorWall) * timeline.speed : 0;
+    return DateTime.fromMillis(timeline.anchor + elapsed, {zone: 'utc'});
+}
+
+const publish = (timeline) => {
+    currentTimeline = timeline;
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent(TIMELINE_CHANGE_EVENT, {detail: timeline}));
+    }
+};
+
+/**
+ * Changes the timeline and leaves live mode. The simulated time continues from where it is now,
+ * unless a new time is given.
+ * @param {{at?: DateTime, speed?: number, playing?: boolean}} changes - The new simulated time, speed and play state.
+ */
+export function updateTimeline({at, ...changes}) {
+    const wallNow = Date.now();
+    const anchor = at ? at.toMillis() : getTimelineTime(currentTimeline, wallNow).toMillis();
+    publish({...currentTimeline, ...changes, live: false, anchor, anchorWall: wallNow});
+}
+
+/**
+ * Changes the playback speed. Stays in live mode if the timeline is live.
+ * @param {number} speed - Simulated seconds per real second; negative to play backwards.
+ */
+export function setTimelineSpeed(speed) {
+    if (currentTimeline.live) {
+        publish({...currentTimeline, speed});
+    } else {
+        updateTimeline({speed});
+    }
+}
+
+/**
+ * Returns to real time, keeping the speed and the follow setting for the next time travel.
+ */
+export function resetTimeline() {
+    const {speed, followClock} = currentTimeline;
+    publish({...LIVE_TIMELINE, speed, followClock});
+}
+
+/**
+ * Sets whether the Clock rows follow the simulated time.
+ * @param {boolean} followClock - True to show the simulated time in the Clock rows.
+ */
+export function setTimelineFollowsClock(followClock) {
+    publish({...currentTimeline, followClock});
+}
@@ -0,0 +1,27 @@
+// @ts-check
+import { defineConfig } from 'vite';
+
+// Builds the standalone <tambopata-dashboard> element (src/embed/index.jsx) into dist/embed.js, next to the
+// assets of the site. Runs after `astro build`, which empties dist/.
+export default defineConfig({
+  // Like Astro, e.g. PUBLIC_WEATHER_PROVIDER
+  envPrefix: 'PUBLIC_',
+  publicDir: false,
+  esbuild: {
+    jsx: 'automatic',
+  },
+  define: {
+    // Library builds leave it to the bundler of the page, but the script is loaded as it is
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist',
+    emptyOutDir: false,
+    lib: {
+      entry: 'src/embed/index.jsx',
+      formats: ['iife'],
+      name: 'TambopataDashboard',
+      fileName: () => 'embed.js',
+    },
+  },
+});